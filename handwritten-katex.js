@@ -2,11 +2,14 @@
  * HandwrittenKaTeX - Makes KaTeX geometry look hand-drawn
  * 
  * USAGE:
- * 1. Include Rough.js: <script src="https://cdn.jsdelivr.net/npm/roughjs@4.6.6/bundled/rough.min.js"></script>
+ * 1. Include Rough.js (bundled in this repo, works offline): <script src="rough.js"></script>
  * 2. Include this file after KaTeX
  * 3. After rendering KaTeX, call:
  *    const hwk = new HandwrittenKaTeX();
  *    hwk.processContainer(document.body); // or specific container
+ * 4. Or let it pick up every equation rendered later on its own:
+ *    const watcher = hwk.observe(chatContainer);
+ *    watcher.disconnect(); // when done
  * 
  * @author Claude (for Moon's tutoring web app)
  * @requires rough.js
@@ -41,13 +44,66 @@ class HandwrittenKaTeX {
     }
     
     // Wait for fonts and layout to settle
-    requestAnimationFrame(() => {
-      this.replaceFractionLines(container);
-      this.replaceLines(container);
-      this.replaceSqrtSVGs(container);
-      this.replaceArrowSVGs(container);
-      this.replaceDelimiterSVGs(container);
+    requestAnimationFrame(() => this.processNow(container));
+  }
+
+  /**
+   * Process a container immediately, without waiting for a frame
+   * @param {HTMLElement} container - The container with KaTeX elements
+   */
+  processNow(container) {
+    this.replaceFractionLines(container);
+    this.replaceLines(container);
+    this.replaceSqrtSVGs(container);
+    this.replaceArrowSVGs(container);
+    this.replaceDelimiterSVGs(container);
+  }
+
+  /**
+   * Process a container now and keep processing KaTeX inserted into it later.
+   * New .katex subtrees are batched and handled once per animation frame;
+   * the SVGs this class inserts itself are ignored.
+   * @param {HTMLElement} container - The container to watch
+   * @returns {{ disconnect: Function }} Call disconnect() to stop watching
+   */
+  observe(container = document.body) {
+    this.processContainer(container);
+
+    const pending = new Set();
+    let frame = null;
+
+    const flush = () => {
+      frame = null;
+      pending.forEach(el => {
+        if (el.isConnected) this.processNow(el);
+      });
+      pending.clear();
+    };
+
+    const observer = new MutationObserver(mutations => {
+      mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType !== Node.ELEMENT_NODE || node.dataset.handwritten) return;
+          if (node.matches('.katex')) pending.add(node);
+          else node.querySelectorAll('.katex').forEach(el => pending.add(el));
+        });
+      });
+
+      if (pending.size > 0 && frame === null) {
+        frame = requestAnimationFrame(flush);
+      }
     });
+
+    observer.observe(container, { childList: true, subtree: true });
+
+    return {
+      disconnect() {
+        observer.disconnect();
+        if (frame !== null) cancelAnimationFrame(frame);
+        frame = null;
+        pending.clear();
+      }
+    };
   }
 
   /**
@@ -67,8 +123,8 @@ class HandwrittenKaTeX {
       
       if (width < 2) return;
       
-      // Get computed color
-      const color = getComputedStyle(line).borderBottomColor || getComputedStyle(line).color || '#000';
+      // Explicit color or currentColor
+      const color = this.inkColor(line, 'borderBottomColor');
       
       // Create SVG replacement
       const svg = this.createHandDrawnLine(width, height, color);
@@ -112,7 +168,7 @@ class HandwrittenKaTeX {
         
         if (width < 2) return;
         
-        const color = getComputedStyle(line).borderBottomColor || getComputedStyle(line).color || '#000';
+        const color = this.inkColor(line, 'borderBottomColor');
         const svg = this.createHandDrawnLine(width, 4, color);
         
         svg.style.position = 'absolute';
@@ -131,15 +187,40 @@ class HandwrittenKaTeX {
   }
 
   /**
-   * Create a hand-drawn horizontal line SVG
+   * Ink for a replacement drawing: a color KaTeX set explicitly on the element
+   * or its ancestors in the equation (\color, a border color), otherwise
+   * options.stroke, whose default 'currentColor' follows theme changes
    */
-  createHandDrawnLine(width, height, color = 'currentColor') {
+  inkColor(el, borderProperty = null) {
+    if (borderProperty && el.style[borderProperty]) return el.style[borderProperty];
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const color = node.style && node.style.color;
+      if (color && color !== 'transparent') return color;
+      if (node.classList.contains('katex')) break;
+    }
+    return this.options.stroke;
+  }
+
+  /**
+   * Empty SVG for a drawing. It is decoration only (the math is read from
+   * .katex-mathml), so it is hidden from screen readers.
+   */
+  createSVG(width, height) {
     const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    const svgHeight = height + 4;
     svg.setAttribute('width', width);
-    svg.setAttribute('height', svgHeight);
-    svg.setAttribute('viewBox', `0 0 ${width} ${svgHeight}`);
+    svg.setAttribute('height', height);
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
     svg.style.overflow = 'visible';
+    svg.setAttribute('aria-hidden', 'true');
+    return svg;
+  }
+
+  /**
+   * Create a hand-drawn horizontal line SVG
+   */
+  createHandDrawnLine(width, height, color = 'currentColor') {
+    const svgHeight = height + 4;
+    const svg = this.createSVG(width, svgHeight);
     
     const rc = rough.svg(svg);
     const y = svgHeight / 2;
@@ -163,10 +244,11 @@ class HandwrittenKaTeX {
     const sqrtContainers = container.querySelectorAll('.katex .sqrt');
     
     sqrtContainers.forEach(sqrtEl => {
-      const svgs = sqrtEl.querySelectorAll(':scope > svg, :scope > .sqrt-line svg');
+      const svgs = sqrtEl.querySelectorAll(':scope > svg, :scope > .sqrt-line svg, .hide-tail > svg');
       
       svgs.forEach(originalSvg => {
         if (originalSvg.dataset.handwritten) return;
+        if (originalSvg.closest('.sqrt') !== sqrtEl) return; // Nested roots get their own pass
         
         const rect = originalSvg.getBoundingClientRect();
         const width = rect.width;
@@ -174,11 +256,13 @@ class HandwrittenKaTeX {
         
         if (width < 5 || height < 5) return;
         
-        // Get color from parent
-        const color = getComputedStyle(sqrtEl).color || '#000';
+        const color = this.inkColor(sqrtEl);
         
         // Create new hand-drawn sqrt
-        const newSvg = this.createHandDrawnSqrt(width, height, color);
+        const newSvg = this.createHandDrawnSqrt(width, height, color, {
+          surd: this.measureSurd(originalSvg, height),
+          hasIndex: !!sqrtEl.querySelector(':scope > .root')
+        });
         
         // Copy positioning attributes
         newSvg.style.cssText = originalSvg.style.cssText;
@@ -196,55 +280,138 @@ class HandwrittenKaTeX {
   }
 
   /**
-   * Create a hand-drawn square root symbol
+   * Read the surd's key points (tick, hook, valley, vinculum corner) from
+   * KaTeX's path, in px. Works for sqrtMain, sqrtSize1-4 and sqrtTall.
+   * @returns {Object|null} null when the path cannot be read
    */
-  createHandDrawnSqrt(width, height, color = '#000') {
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('width', width);
-    svg.setAttribute('height', height);
-    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-    svg.style.overflow = 'visible';
+  measureSurd(svg, height) {
+    const vbHeight = Number((svg.getAttribute('viewBox') || '').split(' ')[3]);
+    const d = Array.from(svg.querySelectorAll('path')).map(p => p.getAttribute('d') || '').join(' ');
+    const points = this.pathPoints(d).filter(([x]) => x < 2000); // Drop the vinculum tail
+    if (!vbHeight || points.length < 4) return null;
+    
+    const valley = points.reduce((a, b) => (b[1] > a[1] ? b : a));
+    const left = points.filter(([x]) => x < valley[0]);
+    const right = points.filter(([x]) => x > valley[0]);
+    if (!left.length || !right.length) return null;
+    
+    const tick = left.reduce((a, b) => (b[0] < a[0] ? b : a));
+    // sqrtTall's vertical stroke also sits left of the valley - skip it
+    const hookZone = left.filter(([x]) => x > tick[0] && x < valley[0] - (valley[0] - tick[0]) * 0.15);
+    const hook = hookZone.reduce((a, b) => (b[1] < a[1] ? b : a), tick);
+    const corner = right.reduce((a, b) => (b[1] < a[1] ? b : a));
+    
+    const k = height / vbHeight;
+    const px = ([x, y]) => [x * k, y * k];
+    return { tick: px(tick), hook: px(hook), valley: px(valley), corner: px(corner) };
+  }
+
+  /**
+   * End point of every segment in an SVG path, in absolute coordinates
+   */
+  pathPoints(d) {
+    const ARGS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7 };
+    const tokens = d.match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) || [];
+    const points = [];
+    let cmd = 'M', x = 0, y = 0, i = 0;
+    
+    while (i < tokens.length) {
+      if (/[a-zA-Z]/.test(tokens[i])) cmd = tokens[i++];
+      
+      const upper = cmd.toUpperCase();
+      const rel = cmd !== upper;
+      const n = ARGS[upper];
+      if (!n) { i++; continue; }
+      
+      const args = tokens.slice(i, i + n).map(Number);
+      if (args.length < n || args.some(isNaN)) break;
+      i += n;
+      
+      if (upper === 'H') x = rel ? x + args[0] : args[0];
+      else if (upper === 'V') y = rel ? y + args[0] : args[0];
+      else {
+        x = rel ? x + args[n - 2] : args[n - 2];
+        y = rel ? y + args[n - 1] : args[n - 1];
+      }
+      points.push([x, y]);
+      if (upper === 'M') cmd = rel ? 'l' : 'L';
+    }
+    return points;
+  }
+
+  /**
+   * SVG path through `corners` with each inner corner rounded off by a
+   * quadratic, cut back by `rounding` of its shorter side
+   */
+  roundedPath(corners, rounding = 0.2) {
+    const f = n => n.toFixed(2);
+    let d = `M ${f(corners[0][0])} ${f(corners[0][1])}`;
+    
+    for (let i = 1; i < corners.length - 1; i++) {
+      const [px, py] = corners[i - 1], [x, y] = corners[i], [nx, ny] = corners[i + 1];
+      const before = Math.hypot(x - px, y - py) || 1;
+      const after = Math.hypot(nx - x, ny - y) || 1;
+      const cut = Math.min(before, after) * rounding;
+      d += ` L ${f(x + (px - x) * cut / before)} ${f(y + (py - y) * cut / before)}`;
+      d += ` Q ${f(x)} ${f(y)} ${f(x + (nx - x) * cut / after)} ${f(y + (ny - y) * cut / after)}`;
+    }
+    
+    const [lx, ly] = corners[corners.length - 1];
+    return d + ` L ${f(lx)} ${f(ly)}`;
+  }
+
+  /**
+   * Create a hand-drawn square root symbol as one pen-down stroke: tick,
+   * hook, valley, a small overshoot past the top corner, then the vinculum
+   * @param {Object} [shape]
+   * @param {Object} [shape.surd] - Corner points from measureSurd()
+   * @param {boolean} [shape.hasIndex] - \sqrt[n]{}: keep the tick clear of the index
+   */
+  createHandDrawnSqrt(width, height, color = 'currentColor', shape = {}) {
+    const svg = this.createSVG(width, height);
     svg.setAttribute('preserveAspectRatio', 'none');
     
     const rc = rough.svg(svg);
     
-    // Calculate proportions for the sqrt symbol
+    // Fallback proportions when KaTeX's own surd could not be read
     const hookWidth = Math.max(width * 0.05, 8);
     const surdWidth = Math.max(width * 0.08, 12);
     const vinculumStart = hookWidth + surdWidth;
     const topPad = height * 0.05;
+    const surd = shape.surd || {
+      tick: [hookWidth * 0.3, height * 0.65],
+      hook: [hookWidth, height * 0.55],
+      valley: [vinculumStart - 2, height * 0.92],
+      corner: [vinculumStart, topPad + 2]
+    };
     
-    // Draw the surd (the √ part) - the checkmark shape
-    const surdPath = rc.path(
-      `M ${hookWidth * 0.3} ${height * 0.65} 
-       L ${hookWidth} ${height * 0.55}
-       L ${vinculumStart - 2} ${height * 0.92}
-       L ${vinculumStart} ${topPad + 2}`,
+    const pen = this.options.strokeWidth * 1.3;
+    const tick = shape.hasIndex
+      ? [(surd.tick[0] + surd.hook[0]) / 2, (surd.tick[1] + surd.hook[1]) / 2]
+      : surd.tick;
+    const valley = [surd.valley[0], surd.valley[1] - pen / 2];
+    const topY = surd.corner[1] + pen / 2;
+    
+    // Carry on a little past the corner along the upstroke before turning
+    const overshoot = Math.max(1, height * 0.04);
+    const upLen = Math.hypot(surd.corner[0] - valley[0], topY - valley[1]) || 1;
+    const past = [
+      surd.corner[0] + (surd.corner[0] - valley[0]) / upLen * overshoot,
+      Math.max(1, topY + (topY - valley[1]) / upLen * overshoot)
+    ];
+    
+    const radical = rc.path(
+      this.roundedPath([tick, surd.hook, valley, past, [surd.corner[0] + overshoot, topY], [width - 1, topY]]),
       {
         roughness: this.options.roughness * 0.8,
-        bowing: this.options.bowing * 0.8,
+        bowing: this.options.bowing * 0.6,
         stroke: color,
-        strokeWidth: this.options.strokeWidth * 1.3,
+        strokeWidth: pen,
         seed: this.options.seed
       }
     );
     
-    // Draw the vinculum (the top horizontal line extending right)
-    const vinculum = rc.line(
-      vinculumStart, topPad + 2,
-      width - 1, topPad + 2,
-      {
-        roughness: this.options.roughness,
-        bowing: this.options.bowing * 0.4,
-        stroke: color,
-        strokeWidth: this.options.strokeWidth,
-        seed: this.options.seed ? this.options.seed + 1 : null
-      }
-    );
-    
-    svg.appendChild(surdPath);
-    svg.appendChild(vinculum);
-    
+    svg.appendChild(radical);
     return svg;
   }
 
@@ -263,7 +430,7 @@ class HandwrittenKaTeX {
         const rect = originalSvg.getBoundingClientRect();
         if (rect.width < 8 || rect.height < 3) return;
         
-        const color = getComputedStyle(originalSvg.closest('.katex') || originalSvg).color || '#000';
+        const color = this.inkColor(originalSvg);
         const arrowType = this.detectArrowType(originalSvg);
         
         if (!arrowType) return;
@@ -313,12 +480,8 @@ class HandwrittenKaTeX {
   /**
    * Create a hand-drawn arrow
    */
-  createHandDrawnArrow(width, height, type = 'right', color = '#000') {
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('width', width);
-    svg.setAttribute('height', height);
-    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-    svg.style.overflow = 'visible';
+  createHandDrawnArrow(width, height, type = 'right', color = 'currentColor') {
+    const svg = this.createSVG(width, height);
     
     const rc = rough.svg(svg);
     const midY = height / 2;
@@ -402,7 +565,7 @@ class HandwrittenKaTeX {
       const rect = originalSvg.getBoundingClientRect();
       if (rect.height < 15) return;
       
-      const color = getComputedStyle(originalSvg.closest('.katex') || originalSvg).color || '#000';
+      const color = this.inkColor(originalSvg);
       const type = this.detectDelimiterType(originalSvg);
       
       if (!type) return;
@@ -451,12 +614,8 @@ class HandwrittenKaTeX {
   /**
    * Create a hand-drawn delimiter (bracket, brace, or parenthesis)
    */
-  createHandDrawnDelimiter(width, height, type, color = '#000') {
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    svg.setAttribute('width', width);
-    svg.setAttribute('height', height);
-    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-    svg.style.overflow = 'visible';
+  createHandDrawnDelimiter(width, height, type, color = 'currentColor') {
+    const svg = this.createSVG(width, height);
     
     const rc = rough.svg(svg);
     const midX = width / 2;
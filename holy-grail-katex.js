@@ -8,9 +8,12 @@
  * ║  Pipeline: KaTeX → Capture → Skeleton → PF + Rough.js → Hand-drawn!         ║
  * ║                                                                              ║
  * ║  Usage:                                                                      ║
+ * ║    <script src="html2canvas.min.js"></script>   (not bundled)                ║
  * ║    <script type="module">                                                    ║
  * ║      import { holyGrail } from './holy-grail-katex.js';                     ║
  * ║      await holyGrail.transform();                                           ║
+ * ║      // Or one style per part of the page:                                   ║
+ * ║      holyGrail.createHandwriter({ roughness: 0.6 }).apply(solutionEl);       ║
  * ║    </script>                                                                 ║
  * ║                                                                              ║
  * ║  Author: Moon                                                                ║
@@ -18,6 +21,9 @@
  * ╚══════════════════════════════════════════════════════════════════════════════╝
  */
 
+import { getStroke as vendoredGetStroke } from './perfect-freehand.js';
+import { reportAccessibility } from './katex-accessibility.js';
+
 // ════════════════════════════════════════════════════════════════════════════════
 // SETTINGS - Customize these!
 // ════════════════════════════════════════════════════════════════════════════════
@@ -27,7 +33,8 @@ export const SETTINGS = {
     scale: 6,                    // Capture scale (4-10, higher = better quality)
     
     // Perfect-Freehand
-    strokeSize: 2.5,             // Base stroke thickness
+    matchWeight: true,           // Stroke widths follow the glyph's own (distance transform)
+    strokeSize: 2.5,             // Base stroke thickness (when matchWeight is off)
     thinning: 0.45,              // Pressure variation (0-0.8)
     smoothing: 0.4,              // Curve smoothness (0-1)
     streamline: 0.4,             // Path simplification (0-1)
@@ -42,11 +49,26 @@ export const SETTINGS = {
     // Colors
     strokeColor: null,           // null = auto-detect from KaTeX
     fillColor: null,             // null = same as stroke
+    separateColors: true,        // Trace each \color{} separately and keep its color
+    maxColors: 6,                // Most color layers per equation
+    
+    // Output
+    output: 'canvas',            // 'canvas' or 'svg' (vector: sharp at any zoom and in print)
+    pixelRatio: null,            // Canvas pixels per CSS pixel, null = devicePixelRatio
+    
+    // Stroke reconstruction (capture pixels)
+    spurLength: 12,              // Prune skeleton branches shorter than this
+    simplify: 1.5,               // Staircase removal tolerance before the spline fit
     
     // Performance
     minPathLength: 5,            // Ignore paths shorter than this
     batchSize: 5,                // Process N equations at a time
+    useWorker: true,             // Skeletonize in Web Workers (false = main thread)
+    workers: null,               // Worker pool size, null = min(batchSize, cores - 1)
     delay: 10,                   // Delay between batches (ms)
+    
+    // Accessibility
+    check: false,                // After transform(), report equations screen readers can't read
 };
 
 // ════════════════════════════════════════════════════════════════════════════════
@@ -58,31 +80,60 @@ let rough = null;
 let html2canvas = null;
 let depsLoaded = false;
 
-async function loadDependencies() {
+// A blocked <script> (CSP, offline) may never fire load or error
+const SCRIPT_LOAD_TIMEOUT = 5000;
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        const timer = setTimeout(() => reject(new Error(`Timed out loading ${src}`)), SCRIPT_LOAD_TIMEOUT);
+        script.onload = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        script.onerror = () => {
+            clearTimeout(timer);
+            reject(new Error(`Failed to load ${src}`));
+        };
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * Loads perfect-freehand and rough.js from the files bundled next to this
+ * module. Anything passed in `deps` is used as-is instead.
+ * 
+ * html2canvas is not bundled and never downloaded: pass it in or include it
+ * with a <script> tag before the first transform.
+ * 
+ * @param {Object} [deps] - { getStroke, rough, html2canvas }
+ */
+async function loadDependencies(deps = {}) {
+    if (deps.getStroke) getStroke = deps.getStroke;
+    if (deps.rough) rough = deps.rough;
+    if (deps.html2canvas) html2canvas = deps.html2canvas;
     if (depsLoaded) return;
     
     console.log('[HolyGrail] Loading dependencies...');
     
     try {
-        // Load Perfect-Freehand
-        const pfModule = await import('https://esm.sh/perfect-freehand@1.2.0');
-        getStroke = pfModule.getStroke;
+        // Perfect-Freehand (vendored)
+        if (!getStroke) getStroke = vendoredGetStroke;
         
-        // Load Rough.js
-        const roughModule = await import('https://esm.sh/roughjs@4.6.6');
-        rough = roughModule.default;
+        // Rough.js (bundled ./rough.js)
+        if (!rough) {
+            const src = new URL('./rough.js', import.meta.url).href;
+            if (!window.rough) await loadScript(src);
+            if (!window.rough) throw new Error(`${src} did not define rough`);
+            rough = window.rough;
+        }
         
-        // Load html2canvas (check if already loaded)
-        if (typeof window.html2canvas === 'undefined') {
-            await new Promise((resolve, reject) => {
-                const script = document.createElement('script');
-                script.src = 'https://cdn.jsdelivr.net/npm/html2canvas@1.4.1/dist/html2canvas.min.js';
-                script.onload = resolve;
-                script.onerror = reject;
-                document.head.appendChild(script);
-            });
+        // html2canvas (a <script> tag's global, if it was not passed in)
+        if (!html2canvas) html2canvas = window.html2canvas || null;
+        if (!html2canvas) {
+            throw new Error('html2canvas is missing: include it with a <script> tag or pass it to loadDependencies({ html2canvas })');
         }
-        html2canvas = window.html2canvas;
         
         depsLoaded = true;
         console.log('[HolyGrail] Dependencies loaded ✓');
@@ -92,139 +143,630 @@ async function loadDependencies() {
     }
 }
 
+// ════════════════════════════════════════════════════════════════════════════════
+// BINARIZATION
+// Images are flat Uint8Arrays, one byte per pixel at y * W + x (1 = ink).
+// Everything from here down to traceImage() is also the worker's source, so
+// these functions must not use anything from outside themselves.
+// ════════════════════════════════════════════════════════════════════════════════
+
+function binarize(rgba, W, H) {
+    const binary = new Uint8Array(W * H);
+    for (let i = 0, idx = 0; i < binary.length; i++, idx += 4) {
+        const gray = (rgba[idx] + rgba[idx+1] + rgba[idx+2]) / 3;
+        binary[i] = gray < 128 ? 1 : 0;
+    }
+    return binary;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// COLOR SEPARATION
+// Ink is measured as absorbance from white (255 - channel). Anti-aliased edges
+// are ink blended with the white background, which scales absorbance but keeps
+// its direction, so pixels join the color whose direction is closest.
+// ════════════════════════════════════════════════════════════════════════════════
+
+function separateColors(rgba, W, H, maxColors) {
+    const N = W * H;
+    const inkOf = i => [255 - rgba[4*i], 255 - rgba[4*i+1], 255 - rgba[4*i+2]];
+    
+    // Colors from solid ink pixels, in 4 levels per channel
+    const bins = new Map();
+    let solid = 0;
+    for (let i = 0; i < N; i++) {
+        const v = inkOf(i);
+        if (Math.max(...v) < 200) continue;
+        solid++;
+        const key = (rgba[4*i] >> 6) * 16 + (rgba[4*i+1] >> 6) * 4 + (rgba[4*i+2] >> 6);
+        const bin = bins.get(key) || { count: 0, sum: [0, 0, 0] };
+        bin.count++;
+        v.forEach((c, k) => { bin.sum[k] += c; });
+        bins.set(key, bin);
+    }
+    
+    const unit = v => {
+        const len = Math.hypot(...v) || 1;
+        return v.map(c => c / len);
+    };
+    const centers = [];
+    [...bins.values()]
+        .filter(bin => bin.count >= Math.max(20, solid * 0.02))
+        .sort((a, b) => b.count - a.count)
+        .forEach(bin => {
+            const ink = bin.sum.map(c => c / bin.count);
+            const dir = unit(ink);
+            const similar = centers.some(c => c.dir.reduce((sum, d, k) => sum + d * dir[k], 0) > 0.98);
+            if (!similar && centers.length < maxColors) centers.push({ ink, dir });
+        });
+    if (centers.length === 0) centers.push({ ink: [255, 255, 255], dir: unit([1, 1, 1]) });
+    
+    const layers = centers.map(c => ({
+        color: c.ink.map(a => Math.round(255 - a)),
+        mask: new Uint8Array(N),
+        pixels: 0,
+    }));
+    
+    for (let i = 0; i < N; i++) {
+        const v = inkOf(i);
+        if (Math.max(...v) < 128) continue;
+        const dir = unit(v);
+        let best = 0, bestCos = -Infinity;
+        centers.forEach((c, n) => {
+            const cos = c.dir[0] * dir[0] + c.dir[1] * dir[1] + c.dir[2] * dir[2];
+            if (cos > bestCos) { bestCos = cos; best = n; }
+        });
+        layers[best].mask[i] = 1;
+        layers[best].pixels++;
+    }
+    
+    return layers.filter(layer => layer.pixels > 0).sort((a, b) => b.pixels - a.pixels);
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// DISTANCE TRANSFORM
+// Chamfer 3-4 distance from every ink pixel to the nearest background pixel.
+// Sampled along the skeleton it is half the glyph's stroke width there.
+// ════════════════════════════════════════════════════════════════════════════════
+
+function distanceTransform(binary, W, H) {
+    const dist = new Float32Array(W * H);
+    for (let i = 0; i < dist.length; i++) dist[i] = binary[i] ? Infinity : 0;
+    
+    // Outside the image counts as background
+    const at = (x, y) => (x < 0 || x >= W || y < 0 || y >= H) ? 0 : dist[y * W + x];
+    
+    for (let y = 0; y < H; y++) {
+        for (let x = 0; x < W; x++) {
+            const i = y * W + x;
+            if (dist[i] === 0) continue;
+            dist[i] = Math.min(dist[i], at(x-1, y) + 3, at(x, y-1) + 3, at(x-1, y-1) + 4, at(x+1, y-1) + 4);
+        }
+    }
+    for (let y = H - 1; y >= 0; y--) {
+        for (let x = W - 1; x >= 0; x--) {
+            const i = y * W + x;
+            if (dist[i] === 0) continue;
+            dist[i] = Math.min(dist[i], at(x+1, y) + 3, at(x, y+1) + 3, at(x+1, y+1) + 4, at(x-1, y+1) + 4);
+        }
+    }
+    
+    for (let i = 0; i < dist.length; i++) dist[i] /= 3;
+    return dist;
+}
+
 // ════════════════════════════════════════════════════════════════════════════════
 // ZHANG-SUEN SKELETONIZATION
 // ════════════════════════════════════════════════════════════════════════════════
 
 function zhangSuen(binary, W, H) {
-    const img = binary.map(r => [...r]);
-    const get = (x, y) => (x < 0 || x >= W || y < 0 || y >= H) ? 0 : img[y][x];
-    const neighbors = (x, y) => [
-        get(x, y-1), get(x+1, y-1), get(x+1, y), get(x+1, y+1),
-        get(x, y+1), get(x-1, y+1), get(x-1, y), get(x-1, y-1)
-    ];
-    const B = n => n.reduce((a, b) => a + b, 0);
-    const A = n => {
-        let c = 0;
-        for (let i = 0; i < 8; i++) if (n[i] === 0 && n[(i+1) % 8] === 1) c++;
-        return c;
+    const img = binary.slice();
+    const n = new Uint8Array(8);
+    const remove = [];
+    
+    // Neighbours P2..P9, clockwise from north
+    const load = (i) => {
+        n[0] = img[i-W]; n[1] = img[i-W+1]; n[2] = img[i+1]; n[3] = img[i+W+1];
+        n[4] = img[i+W]; n[5] = img[i+W-1]; n[6] = img[i-1]; n[7] = img[i-W-1];
     };
     
-    let changed = true, iter = 0;
-    while (changed && iter < 300) {
-        changed = false;
-        iter++;
-        
-        const rem1 = [];
+    const pass = (step) => {
+        remove.length = 0;
         for (let y = 1; y < H-1; y++) {
-            for (let x = 1; x < W-1; x++) {
-                if (img[y][x] !== 1) continue;
-                const n = neighbors(x, y), b = B(n), a = A(n);
-                if (b >= 2 && b <= 6 && a === 1 && n[0]*n[2]*n[4] === 0 && n[2]*n[4]*n[6] === 0) {
-                    rem1.push([x, y]);
+            for (let x = 1, i = y * W + 1; x < W-1; x++, i++) {
+                if (img[i] !== 1) continue;
+                load(i);
+                
+                let b = 0, a = 0;
+                for (let k = 0; k < 8; k++) {
+                    b += n[k];
+                    if (n[k] === 0 && n[(k+1) % 8] === 1) a++;
                 }
-            }
-        }
-        for (const [x, y] of rem1) { img[y][x] = 0; changed = true; }
-        
-        const rem2 = [];
-        for (let y = 1; y < H-1; y++) {
-            for (let x = 1; x < W-1; x++) {
-                if (img[y][x] !== 1) continue;
-                const n = neighbors(x, y), b = B(n), a = A(n);
-                if (b >= 2 && b <= 6 && a === 1 && n[0]*n[2]*n[6] === 0 && n[0]*n[4]*n[6] === 0) {
-                    rem2.push([x, y]);
+                if (b < 2 || b > 6 || a !== 1) continue;
+                
+                if (step === 0 ? (n[0]*n[2]*n[4] === 0 && n[2]*n[4]*n[6] === 0)
+                               : (n[0]*n[2]*n[6] === 0 && n[0]*n[4]*n[6] === 0)) {
+                    remove.push(i);
                 }
             }
         }
-        for (const [x, y] of rem2) { img[y][x] = 0; changed = true; }
+        for (const i of remove) img[i] = 0;
+        return remove.length > 0;
+    };
+    
+    let changed = true, iter = 0;
+    while (changed && iter < 300) {
+        iter++;
+        changed = pass(0);
+        changed = pass(1) || changed;
     }
     
     return img;
 }
 
 // ════════════════════════════════════════════════════════════════════════════════
-// PATH EXTRACTION
+// SKELETON GRAPH
+// The skeleton becomes a graph: nodes are endpoints and junctions (touching
+// junction pixels merge into one node), edges the one-pixel-wide runs between
+// them. Short spurs are pruned, then at every junction the most collinear
+// edges are joined, so the crossing strokes of x, t, + or π come out whole.
 // ════════════════════════════════════════════════════════════════════════════════
 
-function extractPaths(skeleton, W, H, minLength) {
-    const visited = new Set();
-    const key = (x, y) => `${x},${y}`;
-    const paths = [];
+function buildSkeletonGraph(skeleton, W, H) {
+    const dirs = [[0,-1], [1,0], [0,1], [-1,0], [1,-1], [1,1], [-1,1], [-1,-1]];
+    const neighbors = (i) => {
+        const x = i % W, y = (i - x) / W;
+        const out = [];
+        for (const [dx, dy] of dirs) {
+            const nx = x + dx, ny = y + dy;
+            if (nx >= 0 && nx < W && ny >= 0 && ny < H && skeleton[ny * W + nx]) out.push(ny * W + nx);
+        }
+        return out;
+    };
+    const point = i => [i % W, Math.floor(i / W)];
     
     const pixels = [];
-    for (let y = 0; y < H; y++) {
-        for (let x = 0; x < W; x++) {
-            if (skeleton[y][x]) pixels.push([x, y]);
+    const degree = new Uint8Array(W * H);
+    for (let i = 0; i < skeleton.length; i++) {
+        if (!skeleton[i]) continue;
+        pixels.push(i);
+        degree[i] = neighbors(i).length;
+    }
+    
+    // Nodes: flood-fill clusters of pixels that are not plain path pixels
+    const nodeOf = new Int32Array(W * H).fill(-1);
+    const nodes = [];
+    for (const i of pixels) {
+        if (degree[i] === 2 || degree[i] === 0 || nodeOf[i] >= 0) continue;
+        const node = { x: 0, y: 0, pixels: [], ends: [] };
+        const stack = [i];
+        nodeOf[i] = nodes.length;
+        while (stack.length) {
+            const j = stack.pop();
+            node.pixels.push(j);
+            for (const k of neighbors(j)) {
+                if (degree[k] !== 2 && nodeOf[k] < 0) { nodeOf[k] = nodes.length; stack.push(k); }
+            }
         }
+        node.pixels.forEach(j => { node.x += j % W; node.y += Math.floor(j / W); });
+        node.x /= node.pixels.length;
+        node.y /= node.pixels.length;
+        nodes.push(node);
     }
     
-    if (pixels.length === 0) return [];
+    // Edges: walk path pixels from each node until the next node
+    const edges = [];
+    const onEdge = new Uint8Array(W * H);
+    const direct = new Set();
+    const addEdge = (a, b, points) => {
+        const edge = { a, b, points, links: {} };
+        edges.push(edge);
+        if (a >= 0) nodes[a].ends.push({ edge, end: 'a' });
+        if (b >= 0) nodes[b].ends.push({ edge, end: 'b' });
+    };
     
-    const neighborCount = (x, y) => {
-        let c = 0;
-        for (let dy = -1; dy <= 1; dy++) {
-            for (let dx = -1; dx <= 1; dx++) {
-                if (dx === 0 && dy === 0) continue;
-                const nx = x + dx, ny = y + dy;
-                if (nx >= 0 && nx < W && ny >= 0 && ny < H && skeleton[ny][nx]) c++;
+    nodes.forEach((node, a) => {
+        for (const p of node.pixels) {
+            for (const q of neighbors(p)) {
+                const b = nodeOf[q];
+                if (b === a) continue;
+                if (b >= 0) {
+                    // Two nodes touching: one edge between their centers
+                    const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+                    if (!direct.has(key)) { direct.add(key); addEdge(a, b, [[node.x, node.y], [nodes[b].x, nodes[b].y]]); }
+                    continue;
+                }
+                if (onEdge[q]) continue;
+                
+                const points = [[node.x, node.y]];
+                let prev = p, cur = q, end = -1;
+                while (true) {
+                    onEdge[cur] = 1;
+                    points.push(point(cur));
+                    const next = neighbors(cur).find(n => n !== prev);
+                    if (next === undefined) break;
+                    if (nodeOf[next] >= 0) { end = nodeOf[next]; break; }
+                    if (onEdge[next]) break;
+                    prev = cur;
+                    cur = next;
+                }
+                if (end >= 0) points.push([nodes[end].x, nodes[end].y]);
+                addEdge(a, end, points);
             }
         }
-        return c;
+    });
+    
+    // Closed loops without any node (o, 0, ∮)
+    for (const i of pixels) {
+        if (degree[i] !== 2 || onEdge[i]) continue;
+        const points = [];
+        let prev = -1, cur = i;
+        while (cur !== undefined && !onEdge[cur]) {
+            onEdge[cur] = 1;
+            points.push(point(cur));
+            const next = neighbors(cur).find(n => n !== prev && !onEdge[n]);
+            prev = cur;
+            cur = next;
+        }
+        points.push(point(i));
+        addEdge(-1, -1, points);
+    }
+    
+    return { nodes, edges };
+}
+
+function pruneSpurs(graph, spurLength) {
+    const { nodes } = graph;
+    const detach = (edge) => {
+        [edge.a, edge.b].forEach(n => {
+            if (n >= 0) nodes[n].ends = nodes[n].ends.filter(e => e.edge !== edge);
+        });
     };
     
-    const endpoints = pixels.filter(([x, y]) => neighborCount(x, y) === 1);
-    const startPoints = endpoints.length > 0 ? endpoints : [pixels[0]];
-    
-    const trace = (sx, sy) => {
-        const path = [];
-        let x = sx, y = sy;
-        while (true) {
-            const k = key(x, y);
-            if (visited.has(k)) break;
-            visited.add(k);
-            path.push([x, y]);
-            
-            let found = false;
-            const dirs = [[0,-1], [1,0], [0,1], [-1,0], [1,-1], [1,1], [-1,1], [-1,-1]];
-            for (const [dx, dy] of dirs) {
-                const nx = x + dx, ny = y + dy;
-                if (nx >= 0 && nx < W && ny >= 0 && ny < H && skeleton[ny][nx] && !visited.has(key(nx, ny))) {
-                    x = nx; y = ny; found = true; break;
-                }
+    let pruned = true;
+    while (pruned) {
+        pruned = false;
+        graph.edges = graph.edges.filter(edge => {
+            const degA = edge.a >= 0 ? nodes[edge.a].ends.length : 0;
+            const degB = edge.b >= 0 ? nodes[edge.b].ends.length : 0;
+            const selfLoop = edge.a >= 0 && edge.a === edge.b;
+            const spur = (degA === 1 && degB >= 3) || (degB === 1 && degA >= 3);
+            if ((spur || selfLoop) && edge.points.length < spurLength) {
+                detach(edge);
+                pruned = true;
+                return false;
             }
-            if (!found) break;
+            return true;
+        });
+    }
+}
+
+// Direction an edge leaves its node in, measured over `reach` pixels
+function leavingDirection({ edge, end }, reach) {
+    const pts = edge.points;
+    const k = Math.min(reach, pts.length - 1);
+    const [from, to] = end === 'a' ? [pts[0], pts[k]] : [pts[pts.length - 1], pts[pts.length - 1 - k]];
+    const len = Math.hypot(to[0] - from[0], to[1] - from[1]) || 1;
+    return [(to[0] - from[0]) / len, (to[1] - from[1]) / len];
+}
+
+function pairAtJunctions(graph, reach) {
+    const link = (e1, e2) => {
+        e1.edge.links[e1.end] = e2;
+        e2.edge.links[e2.end] = e1;
+    };
+    
+    graph.nodes.forEach(({ ends }) => {
+        if (ends.length === 2) {
+            // A kink in the skeleton, not a real junction
+            link(ends[0], ends[1]);
+            return;
         }
-        return path;
+        
+        const dirs = ends.map(e => leavingDirection(e, reach));
+        const pairs = [];
+        for (let i = 0; i < ends.length; i++) {
+            for (let j = i + 1; j < ends.length; j++) {
+                if (ends[i].edge === ends[j].edge) continue;
+                pairs.push({ i, j, cos: dirs[i][0] * dirs[j][0] + dirs[i][1] * dirs[j][1] });
+            }
+        }
+        
+        // Straightest continuations first; anything bent more than 60° stays apart
+        const used = new Set();
+        pairs.sort((p, q) => p.cos - q.cos).forEach(({ i, j, cos }) => {
+            if (cos > -0.5 || used.has(i) || used.has(j)) return;
+            used.add(i);
+            used.add(j);
+            link(ends[i], ends[j]);
+        });
+    });
+}
+
+function chainStrokes(graph) {
+    const used = new Set();
+    const strokes = [];
+    
+    const follow = (edge, from) => {
+        const stroke = [];
+        while (edge && !used.has(edge)) {
+            used.add(edge);
+            const pts = from === 'a' ? edge.points : edge.points.slice().reverse();
+            stroke.push(...(stroke.length ? pts.slice(1) : pts));
+            
+            const next = edge.links[from === 'a' ? 'b' : 'a'];
+            if (!next) break;
+            edge = next.edge;
+            from = next.end;
+        }
+        return stroke;
     };
     
-    for (const [sx, sy] of startPoints) {
-        if (!visited.has(key(sx, sy))) {
-            const p = trace(sx, sy);
-            if (p.length >= minLength) paths.push(p);
+    // Start at loose ends first, so open strokes are traced end to end
+    graph.edges.forEach(edge => {
+        if (used.has(edge)) return;
+        if (!edge.links.a) strokes.push(follow(edge, 'a'));
+        else if (!edge.links.b) strokes.push(follow(edge, 'b'));
+    });
+    graph.edges.forEach(edge => {
+        if (!used.has(edge)) strokes.push(follow(edge, 'a'));
+    });
+    
+    return strokes;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// STROKE SMOOTHING
+// Ramer-Douglas-Peucker removes the pixel staircase, a Catmull-Rom spline
+// through what is left gives getStroke evenly spaced, smooth points.
+// ════════════════════════════════════════════════════════════════════════════════
+
+function simplifyPath(points, tolerance) {
+    if (points.length < 3) return points;
+    
+    const keep = new Uint8Array(points.length);
+    keep[0] = keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+    
+    while (stack.length) {
+        const [first, last] = stack.pop();
+        const [ax, ay] = points[first], [bx, by] = points[last];
+        const len = Math.hypot(bx - ax, by - ay);
+        
+        let maxDist = 0, index = -1;
+        for (let i = first + 1; i < last; i++) {
+            const [px, py] = points[i];
+            const dist = len === 0 ? Math.hypot(px - ax, py - ay)
+                : Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / len;
+            if (dist > maxDist) { maxDist = dist; index = i; }
+        }
+        if (maxDist > tolerance) {
+            keep[index] = 1;
+            stack.push([first, index], [index, last]);
         }
     }
     
-    for (const [x, y] of pixels) {
-        if (!visited.has(key(x, y))) {
-            const p = trace(x, y);
-            if (p.length >= minLength) paths.push(p);
+    return points.filter((_, i) => keep[i]);
+}
+
+function splineFit(points, spacing) {
+    if (points.length < 2) return points;
+    
+    const out = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        const p0 = points[i - 1] || points[i], p1 = points[i];
+        const p2 = points[i + 1], p3 = points[i + 2] || points[i + 1];
+        const steps = Math.max(1, Math.ceil(Math.hypot(p2[0] - p1[0], p2[1] - p1[1]) / spacing));
+        
+        for (let s = 0; s < steps; s++) {
+            const t = s / steps, t2 = t * t, t3 = t2 * t;
+            out.push([0, 1].map(k => 0.5 * (
+                2 * p1[k] + (p2[k] - p0[k]) * t
+                + (2 * p0[k] - 5 * p1[k] + 4 * p2[k] - p3[k]) * t2
+                + (3 * p1[k] - p0[k] - 3 * p2[k] + p3[k]) * t3
+            )));
         }
     }
+    out.push(points[points.length - 1]);
+    return out;
+}
+
+/**
+ * Pen strokes of a skeleton, as flat Float32Array [x0, y0, x1, y1, ...]
+ * paths in capture pixels.
+ * 
+ * @param {Object} params - { minLength, spurLength, simplify } in capture pixels
+ */
+function extractPaths(skeleton, W, H, params) {
+    const graph = buildSkeletonGraph(skeleton, W, H);
+    pruneSpurs(graph, params.spurLength);
+    pairAtJunctions(graph, params.spurLength);
+    
+    return chainStrokes(graph)
+        .filter(stroke => stroke.length >= params.minLength)
+        .map(stroke => Float32Array.from(splineFit(simplifyPath(stroke, params.simplify), params.simplify * 2).flat()));
+}
+
+// Half stroke width under each [x, y] point, lightly smoothed along the path
+function sampleWidths(path, dist, W, H) {
+    const n = path.length / 2;
+    const raw = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+        const cx = Math.round(path[2*i]), cy = Math.round(path[2*i+1]);
+        
+        // The spline may drift off the center line, so take the 3×3 maximum
+        let d = 0;
+        for (let y = cy - 1; y <= cy + 1; y++) {
+            for (let x = cx - 1; x <= cx + 1; x++) {
+                if (x >= 0 && x < W && y >= 0 && y < H) d = Math.max(d, dist[y * W + x]);
+            }
+        }
+        raw[i] = Math.max(0.5, d - 0.5);
+    }
+    
+    const out = new Float32Array(n * 3);
+    for (let i = 0; i < n; i++) {
+        let sum = 0, count = 0;
+        for (let k = Math.max(0, i - 2); k <= Math.min(n - 1, i + 2); k++) { sum += raw[k]; count++; }
+        out[3*i] = path[2*i];
+        out[3*i+1] = path[2*i+1];
+        out[3*i+2] = sum / count;
+    }
+    return out;
+}
+
+/**
+ * Captured RGBA pixels → color layers, largest first, each with flat
+ * [x, y, halfWidth] stroke paths. Without params.separateColors there is one
+ * layer and its color is null.
+ */
+function traceImage(rgba, W, H, params) {
+    const layers = params.separateColors
+        ? separateColors(rgba, W, H, params.maxColors)
+        : [{ color: null, mask: binarize(rgba, W, H) }];
+    
+    return layers.map(({ color, mask }) => {
+        const dist = distanceTransform(mask, W, H);
+        const paths = extractPaths(zhangSuen(mask, W, H), W, H, params).map(path => sampleWidths(path, dist, W, H));
+        return { color, paths };
+    });
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// WORKER POOL
+// Skeletonizing a capture at scale 6 takes long enough to freeze the page, so
+// it runs in workers built from the functions above. Without Worker support
+// (or once a worker fails) traceImage() runs on the main thread instead.
+// ════════════════════════════════════════════════════════════════════════════════
+
+const pool = { workers: [], idle: [], queue: [], broken: false };
+
+function workerSource() {
+    const sources = [
+        binarize, separateColors, distanceTransform, zhangSuen,
+        buildSkeletonGraph, pruneSpurs, leavingDirection, pairAtJunctions, chainStrokes,
+        simplifyPath, splineFit, extractPaths, sampleWidths, traceImage,
+    ];
+    return `${sources.join('\n')}\n`
+        + 'self.onmessage = ({ data: { rgba, W, H, params } }) => {\n'
+        + '    const layers = traceImage(rgba, W, H, params);\n'
+        + '    self.postMessage(layers, layers.flatMap(layer => layer.paths.map(p => p.buffer)));\n'
+        + '};\n';
+}
+
+function poolSize(opts) {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, opts.workers || Math.min(opts.batchSize, cores - 1));
+}
+
+function spawnWorker() {
+    if (!pool.url) {
+        pool.url = URL.createObjectURL(new Blob([workerSource()], { type: 'text/javascript' }));
+    }
+    const worker = new Worker(pool.url);
+    pool.workers.push(worker);
+    return worker;
+}
+
+function retireWorker(worker) {
+    worker.terminate();
+    pool.workers = pool.workers.filter(w => w !== worker);
+    pool.idle = pool.idle.filter(w => w !== worker);
+}
+
+const traceJob = job => job.resolve(traceImage(job.rgba, job.W, job.H, job.params));
+
+function runNextJob(worker) {
+    const job = pool.queue.shift();
+    if (!job) {
+        if (pool.broken) retireWorker(worker);
+        else pool.idle.push(worker);
+        return;
+    }
+    
+    worker.onmessage = ({ data }) => {
+        job.resolve(data);
+        runNextJob(worker);
+    };
+    worker.onerror = (e) => {
+        e.preventDefault();
+        console.warn('[HolyGrail] Worker failed, tracing on the main thread:', e.message);
+        pool.broken = true;
+        retireWorker(worker);
+        traceJob(job);
+        if (pool.workers.length === 0) pool.queue.splice(0).forEach(traceJob);
+    };
+    
+    // Copied, not transferred, so the main thread can still trace it if the worker dies
+    const { rgba, W, H, params } = job;
+    worker.postMessage({ rgba, W, H, params });
+}
+
+function traceInWorker(rgba, W, H, opts) {
+    return new Promise((resolve) => {
+        // Spawning throws (e.g. under a strict CSP) before anything is queued
+        let worker = pool.idle.pop();
+        if (!worker && pool.workers.length < poolSize(opts)) worker = spawnWorker();
+        
+        pool.queue.push({ rgba, W, H, params: traceParams(opts), resolve });
+        if (worker) runNextJob(worker);
+    });
+}
+
+/**
+ * Skeleton paths of a captured image, traced in the worker pool unless
+ * `opts.useWorker` is false or workers are unavailable.
+ * 
+ * @returns {Promise<Array<{ color: number[]|null, paths: Float32Array[] }>>}
+ *     Color layers; paths are flat [x0, y0, r0, x1, y1, r1, ...] in capture
+ *     pixels, r being the glyph's half stroke width at that point
+ */
+async function tracePaths(rgba, W, H, opts) {
+    const canUseWorker = opts.useWorker && !pool.broken
+        && typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL.createObjectURL === 'function';
     
-    return paths;
+    if (canUseWorker) {
+        try {
+            return await traceInWorker(rgba, W, H, opts);
+        } catch (e) {
+            console.warn('[HolyGrail] Worker unavailable, tracing on the main thread:', e);
+            pool.broken = true;
+        }
+    }
+    return traceImage(rgba, W, H, traceParams(opts));
+}
+
+function traceParams(opts) {
+    return {
+        minLength: opts.minPathLength,
+        spurLength: opts.spurLength,
+        simplify: opts.simplify,
+        separateColors: opts.separateColors,
+        maxColors: opts.maxColors,
+    };
 }
 
 // ════════════════════════════════════════════════════════════════════════════════
 // WAVE EFFECT
 // ════════════════════════════════════════════════════════════════════════════════
 
-function addWave(points, amount) {
+// mulberry32
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function addWave(points, amount, random = Math.random) {
     if (amount === 0) return points;
     return points.map(([x, y, p], i) => {
         const wave1 = Math.sin(i * 0.4) * amount;
         const wave2 = Math.cos(i * 0.3) * amount * 0.7;
-        const rand = (Math.random() - 0.5) * amount * 0.5;
+        const rand = (random() - 0.5) * amount * 0.5;
         return [x + wave1 + rand, y + wave2 + rand, p];
     });
 }
@@ -235,16 +777,16 @@ function addWave(points, amount) {
 
 async function transformElement(element, settings = {}) {
     const opts = { ...SETTINGS, ...settings };
-    
+    const traced = await traceElement(element, opts);
+    return traced ? renderTraced(traced, opts) : null;
+}
+
+// Capture and trace once; the result can be rendered again (theme changes)
+async function traceElement(element, opts) {
     // Get element dimensions
     const rect = element.getBoundingClientRect();
     if (rect.width < 5 || rect.height < 5) return null;
     
-    // Detect color
-    const computedColor = window.getComputedStyle(element).color || '#000000';
-    const strokeColor = opts.strokeColor || computedColor;
-    const fillColor = opts.fillColor || strokeColor;
-    
     // Capture with html2canvas
     let captured;
     try {
@@ -261,62 +803,95 @@ async function transformElement(element, settings = {}) {
     const W = captured.width, H = captured.height;
     if (W < 10 || H < 10) return null;
     
-    // Convert to binary
+    // Separate colors, skeletonize and extract paths (in a worker when possible)
     const ctx = captured.getContext('2d');
     const imgData = ctx.getImageData(0, 0, W, H);
+    const layers = await tracePaths(imgData.data, W, H, opts);
+    if (layers.every(layer => layer.paths.length === 0)) return null;
     
-    const binary = [];
-    for (let y = 0; y < H; y++) {
-        binary[y] = [];
-        for (let x = 0; x < W; x++) {
-            const idx = (y * W + x) * 4;
-            const gray = (imgData.data[idx] + imgData.data[idx+1] + imgData.data[idx+2]) / 3;
-            binary[y][x] = gray < 128 ? 1 : 0;
-        }
-    }
+    // The layer in the element's own color gets strokeColor, whatever its size
+    const textLayer = closestLayer(layers, parseRGB(window.getComputedStyle(element).color));
     
-    // Skeletonize
-    const skeleton = zhangSuen(binary, W, H);
+    // The seed keeps the hand wobble identical when re-rendering
+    return { element, rect, W, H, layers, textLayer, seed: Math.floor(Math.random() * 2 ** 31) + 1 };
+}
+
+function parseRGB(css) {
+    const m = /rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/.exec(css || '');
+    return m ? [+m[1], +m[2], +m[3]] : [0, 0, 0];
+}
+
+function closestLayer(layers, rgb) {
+    let best = 0, bestDist = Infinity;
+    layers.forEach((layer, n) => {
+        if (!layer.color || layer.paths.length === 0) return;
+        const dist = layer.color.reduce((sum, c, k) => sum + (c - rgb[k]) ** 2, 0);
+        if (dist < bestDist) { bestDist = dist; best = n; }
+    });
+    return best;
+}
+
+// Rendered output → what it was drawn from, so it can be redrawn in new colors
+const rendered = new WeakMap();
+
+function renderTraced(traced, opts) {
+    const { element, rect, W, H, layers, textLayer } = traced;
     
-    // Extract paths
-    const paths = extractPaths(skeleton, W, H, opts.minPathLength);
-    if (paths.length === 0) return null;
+    // Detect color: canvas pixels need the resolved value, SVG can follow the theme
+    const inkColor = opts.output === 'svg' ? 'currentColor' : (window.getComputedStyle(element).color || '#000000');
+    const strokeColor = opts.strokeColor || inkColor;
+    const fillColor = opts.fillColor || strokeColor;
+    const random = seededRandom(traced.seed);
+    const roughSeed = () => Math.floor(random() * 2 ** 31) + 1;
     
-    // Create output canvas (same size as original)
-    const outCanvas = document.createElement('canvas');
-    outCanvas.width = rect.width;
-    outCanvas.height = rect.height;
-    const outCtx = outCanvas.getContext('2d');
-    outCtx.fillStyle = 'transparent';
-    outCtx.clearRect(0, 0, rect.width, rect.height);
+    // Create output (same CSS size as original)
+    const { output, rc } = createOutput(rect, opts);
+    rendered.set(output, { traced, opts, color: strokeColor });
     
     // Scale factors
     const sx = rect.width / W;
     const sy = rect.height / H;
     
-    // Scale paths
-    const scaledPaths = paths.map(p => p.map(([x, y]) => [x * sx, y * sy]));
-    
-    // Create rough.js canvas
-    const rc = rough.canvas(outCanvas);
+    // Scale paths ([x, y, half width] in CSS pixels). The text layer keeps
+    // the element's exact color, \color{} layers the captured one.
+    const sr = (sx + sy) / 2;
+    const scaledPaths = layers.flatMap((layer, n) => {
+        const color = n === textLayer || !layer.color ? strokeColor : `rgb(${layer.color.join(', ')})`;
+        const fill = n === textLayer || !layer.color ? fillColor : color;
+        return layer.paths.map(p => ({
+            color,
+            fill,
+            points: Array.from({ length: p.length / 3 }, (_, i) => [p[3*i] * sx, p[3*i+1] * sy, p[3*i+2] * sr]),
+        }));
+    });
     
     // Process each path
-    for (const path of scaledPaths) {
+    for (const { points: path, color, fill } of scaledPaths) {
         if (path.length < 3) continue;
         
-        // Add pressure
-        let pts = path.map(([x, y], i) => {
+        // Add pressure: the glyph's own widths, or a synthetic swell
+        const maxRadius = Math.max(...path.map(p => p[2]));
+        let pts = path.map(([x, y, r], i) => {
+            if (opts.matchWeight) return [x, y, r / maxRadius];
             const t = i / path.length;
             const pressure = 0.3 + Math.sin(t * Math.PI) * 0.5;
             return [x, y, pressure];
         });
         
         // Add wave
-        pts = addWave(pts, opts.waveAmount);
+        pts = addWave(pts, opts.waveAmount, random);
         
         try {
-            // Get Perfect-Freehand stroke
-            const stroke = getStroke(pts, {
+            // Get Perfect-Freehand stroke. With thinning 1 and real pressure
+            // the outline's radius is exactly size × pressure.
+            const stroke = getStroke(pts, opts.matchWeight ? {
+                size: maxRadius,
+                thinning: 1,
+                smoothing: opts.smoothing,
+                streamline: opts.streamline,
+                simulatePressure: false,
+                last: true,
+            } : {
                 size: opts.strokeSize * 1.8,
                 thinning: opts.thinning,
                 smoothing: opts.smoothing,
@@ -331,9 +906,10 @@ async function transformElement(element, settings = {}) {
                 rc.polygon(polyPoints, {
                     roughness: opts.roughness * 0.8,
                     bowing: opts.bowing * 0.6,
+                    seed: roughSeed(),
                     strokeWidth: 1,
-                    stroke: strokeColor,
-                    fill: fillColor,
+                    stroke: color,
+                    fill,
                     fillStyle: 'solid',
                 });
             }
@@ -343,14 +919,52 @@ async function transformElement(element, settings = {}) {
                 rc.line(path[i][0], path[i][1], path[i+1][0], path[i+1][1], {
                     roughness: opts.roughness,
                     bowing: opts.bowing,
+                    seed: roughSeed(),
                     strokeWidth: opts.strokeSize,
-                    stroke: strokeColor,
+                    stroke: color,
                 });
             }
         }
     }
     
-    return outCanvas;
+    return output;
+}
+
+// Vector output draws the same rough.js shapes into an <svg>; canvas output
+// gets a backing store of pixelRatio × the CSS size so it stays crisp
+function createOutput(rect, opts) {
+    if (opts.output === 'svg') {
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('aria-hidden', 'true');
+        svg.setAttribute('width', rect.width);
+        svg.setAttribute('height', rect.height);
+        svg.setAttribute('viewBox', `0 0 ${rect.width} ${rect.height}`);
+        svg.style.overflow = 'visible';
+        const rc = rough.svg(svg);
+        
+        // rough.svg() returns the shapes instead of drawing them
+        return {
+            output: svg,
+            rc: {
+                polygon: (points, o) => svg.appendChild(rc.polygon(points, o)),
+                line: (x1, y1, x2, y2, o) => svg.appendChild(rc.line(x1, y1, x2, y2, o)),
+            },
+        };
+    }
+    
+    const ratio = opts.pixelRatio || window.devicePixelRatio || 1;
+    const canvas = document.createElement('canvas');
+    canvas.setAttribute('aria-hidden', 'true');
+    canvas.width = Math.ceil(rect.width * ratio);
+    canvas.height = Math.ceil(rect.height * ratio);
+    canvas.style.width = `${rect.width}px`;
+    canvas.style.height = `${rect.height}px`;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.scale(ratio, ratio);
+    
+    return { output: canvas, rc: rough.canvas(canvas) };
 }
 
 // ════════════════════════════════════════════════════════════════════════════════
@@ -358,12 +972,19 @@ async function transformElement(element, settings = {}) {
 // ════════════════════════════════════════════════════════════════════════════════
 
 async function transform(container = document.body, settings = {}) {
+    return transformWithSettings(container, { ...SETTINGS, ...settings });
+}
+
+// Wrapper → the settings object it was drawn with; a handwriter's settings, or
+// the copy one transform() call made, so clear() can tell whose ink is whose
+const wrapperOwners = new WeakMap();
+
+async function transformWithSettings(container, opts) {
     await loadDependencies();
     
-    const opts = { ...SETTINGS, ...settings };
-    
-    // Find all KaTeX elements
-    const katexElements = container.querySelectorAll('.katex');
+    // Find all KaTeX elements (not the hidden originals of earlier transforms)
+    const katexElements = Array.from(container.querySelectorAll('.katex'))
+        .filter(el => !el.closest('.holy-grail-transformed'));
     
     if (katexElements.length === 0) {
         console.log('[HolyGrail] No KaTeX elements found');
@@ -375,35 +996,14 @@ async function transform(container = document.body, settings = {}) {
     let processed = 0;
     let failed = 0;
     
-    // Process in batches
+    // Process in batches: captures run here, their skeletons in parallel in the worker pool
     for (let i = 0; i < katexElements.length; i += opts.batchSize) {
-        const batch = Array.from(katexElements).slice(i, i + opts.batchSize);
+        const batch = katexElements.slice(i, i + opts.batchSize);
         
         await Promise.all(batch.map(async (element) => {
             try {
-                const canvas = await transformElement(element, opts);
-                
-                if (canvas) {
-                    // Create wrapper
-                    const wrapper = document.createElement('span');
-                    wrapper.className = 'holy-grail-transformed';
-                    wrapper.style.cssText = 'display:inline-block;position:relative;';
-                    
-                    // Style canvas
-                    canvas.style.cssText = 'display:block;';
-                    
-                    // Replace element
-                    element.style.visibility = 'hidden';
-                    element.style.position = 'absolute';
-                    
-                    wrapper.appendChild(canvas);
-                    element.parentNode.insertBefore(wrapper, element);
-                    wrapper.appendChild(element);
-                    
-                    processed++;
-                } else {
-                    failed++;
-                }
+                if (await transformInPlace(element, opts)) processed++;
+                else failed++;
             } catch (e) {
                 console.warn('[HolyGrail] Transform failed:', e);
                 failed++;
@@ -417,15 +1017,76 @@ async function transform(container = document.body, settings = {}) {
     }
     
     console.log(`[HolyGrail] Done! Processed: ${processed}, Failed: ${failed}`);
+    if (processed > 0) watchTheme();
+    if (opts.check) checkAccessibility(container);
     return { processed, failed };
 }
 
+// Draw `element` and put the drawing in its place; false if nothing was drawn
+async function transformInPlace(element, opts) {
+    const output = await transformElement(element, opts);
+    if (!output || !element.parentNode) return false;
+    
+    // Create wrapper
+    const wrapper = document.createElement('span');
+    wrapper.className = 'holy-grail-transformed';
+    wrapper.style.cssText = 'display:inline-block;position:relative;';
+    wrapperOwners.set(wrapper, opts);
+    
+    // Style canvas / svg (keeps its CSS size)
+    output.style.display = 'block';
+    
+    // Replace element
+    element.style.visibility = 'hidden';
+    element.style.position = 'absolute';
+    
+    wrapper.appendChild(output);
+    keepReadable(wrapper, element);
+    element.parentNode.insertBefore(wrapper, element);
+    wrapper.appendChild(element);
+    
+    return true;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// ACCESSIBILITY
+// Hiding the original .katex takes its MathML out of the accessibility tree
+// too, so the wrapper gets a visually hidden copy of it; KaTeX rendered with
+// output: 'html' has none, and the wrapper is labeled with its text instead.
+// ════════════════════════════════════════════════════════════════════════════════
+
+function keepReadable(wrapper, element) {
+    const mathml = element.querySelector('.katex-mathml');
+    if (mathml) {
+        const copy = mathml.cloneNode(true);
+        copy.style.cssText = 'position:absolute;width:1px;height:1px;padding:0;border:0;'
+            + 'overflow:hidden;clip:rect(1px,1px,1px,1px);clip-path:inset(50%);';
+        wrapper.appendChild(copy);
+    } else {
+        wrapper.setAttribute('role', 'img');
+        wrapper.setAttribute('aria-label', element.textContent);
+    }
+}
+
+/**
+ * Report equations inside `container` a screen reader can't read, including
+ * transformed ones, and drawings it would announce as unlabeled images.
+ *
+ * @param {Document|Element} [container=document]
+ * @returns {Array<{ element: Element, tex: string, problem: string }>} Empty when all is well
+ */
+function checkAccessibility(container = document) {
+    return reportAccessibility(container, '[HolyGrail]');
+}
+
 // ════════════════════════════════════════════════════════════════════════════════
 // REVERT FUNCTION
 // ════════════════════════════════════════════════════════════════════════════════
 
-function revert(container = document.body) {
-    const wrappers = container.querySelectorAll('.holy-grail-transformed');
+// Only wrappers drawn with `owner` when one is given
+function revert(container = document.body, owner = null) {
+    const wrappers = Array.from(container.querySelectorAll('.holy-grail-transformed'))
+        .filter(wrapper => owner === null || wrapperOwners.get(wrapper) === owner);
     
     wrappers.forEach(wrapper => {
         const katex = wrapper.querySelector('.katex');
@@ -437,9 +1098,165 @@ function revert(container = document.body) {
         wrapper.remove();
     });
     
+    if (!document.querySelector('.holy-grail-transformed')) unwatchTheme();
     console.log(`[HolyGrail] Reverted ${wrappers.length} elements`);
 }
 
+// ════════════════════════════════════════════════════════════════════════════════
+// THEME CHANGES
+// SVG output inherits currentColor, but canvas pixels hold the color they were
+// drawn in. When the color scheme or a class/theme attribute on <html>/<body>
+// changes, canvases whose element now resolves to a different color are
+// redrawn from their traced paths (no new capture).
+// ════════════════════════════════════════════════════════════════════════════════
+
+let themeWatch = null;
+
+function refresh(container = document.body) {
+    let redrawn = 0;
+    
+    container.querySelectorAll('.holy-grail-transformed > canvas').forEach(canvas => {
+        const entry = rendered.get(canvas);
+        if (!entry || entry.opts.strokeColor) return;
+        
+        const color = window.getComputedStyle(entry.traced.element).color || '#000000';
+        if (color === entry.color) return;
+        
+        const output = renderTraced(entry.traced, entry.opts);
+        output.style.display = 'block';
+        canvas.replaceWith(output);
+        redrawn++;
+    });
+    
+    return redrawn;
+}
+
+function watchTheme() {
+    if (themeWatch) return;
+    
+    // Batch bursts of attribute changes into one redraw per frame
+    let frame = 0;
+    const schedule = () => {
+        if (frame) return;
+        frame = requestAnimationFrame(() => {
+            frame = 0;
+            refresh();
+        });
+    };
+    
+    const scheme = window.matchMedia?.('(prefers-color-scheme: dark)');
+    scheme?.addEventListener('change', schedule);
+    
+    const observer = new MutationObserver(schedule);
+    for (const el of [document.documentElement, document.body]) {
+        observer.observe(el, { attributes: true, attributeFilter: ['class', 'data-theme', 'style'] });
+    }
+    
+    themeWatch = () => {
+        scheme?.removeEventListener('change', schedule);
+        observer.disconnect();
+        cancelAnimationFrame(frame);
+    };
+}
+
+function unwatchTheme() {
+    if (!themeWatch) return;
+    themeWatch();
+    themeWatch = null;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// HANDWRITERS
+// Several styles on one page: each handwriter keeps its own copy of SETTINGS,
+// so nothing has to mutate the shared object between transform() calls.
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create a handwriter whose settings are `options` merged over SETTINGS as
+ * they are now. Later changes to SETTINGS don't reach it; change
+ * `handwriter.settings` instead.
+ * 
+ *   const teacher = createHandwriter({ roughness: 0.6, strokeColor: '#1c5fd4' });
+ *   const student = createHandwriter({ roughness: 2.5, waveAmount: 2.5 });
+ *   await teacher.apply(solutionEl);
+ *   student.observe(answerEl);
+ * 
+ * @param {Object} [options] - Any of SETTINGS
+ * @returns {{ settings: Object, apply: Function, clear: Function, observe: Function }}
+ *   apply(container) transforms like transform(); clear(container) reverts
+ *   only what this handwriter drew, by default everywhere it drew;
+ *   observe(root) also transforms KaTeX added to `root` later and returns
+ *   { disconnect }.
+ */
+function createHandwriter(options = {}) {
+    const settings = { ...SETTINGS, ...options };
+    const roots = new Set();
+    
+    const apply = (container = document.body) => {
+        roots.add(container);
+        return transformWithSettings(container, settings);
+    };
+    
+    const clear = (container = null) => {
+        const targets = container ? [container] : Array.from(roots);
+        targets.forEach(target => {
+            revert(target, settings);
+            roots.delete(target);
+        });
+    };
+    
+    const observe = (root = document.body) => {
+        const ready = apply(root);
+        const pending = new Set();
+        let frame = null;
+        let disconnected = false;
+        
+        const flush = async () => {
+            frame = null;
+            const targets = Array.from(pending)
+                .filter(el => el.isConnected && !el.closest('.holy-grail-transformed'));
+            pending.clear();
+            await Promise.all(targets.map(async el => {
+                if (disconnected) return;
+                try {
+                    await transformInPlace(el, settings);
+                } catch (e) {
+                    console.warn('[HolyGrail] Transform failed:', e);
+                }
+            }));
+            if (targets.length > 0) watchTheme();
+        };
+        
+        const observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType !== Node.ELEMENT_NODE || node.closest('.holy-grail-transformed')) return;
+                    if (node.matches('.katex')) pending.add(node);
+                    else node.querySelectorAll('.katex').forEach(el => pending.add(el));
+                });
+            });
+            
+            if (pending.size > 0 && frame === null) {
+                frame = requestAnimationFrame(() => ready.then(flush));
+            }
+        });
+        
+        observer.observe(root, { childList: true, subtree: true });
+        
+        return {
+            disconnect() {
+                disconnected = true;
+                observer.disconnect();
+                if (frame !== null) cancelAnimationFrame(frame);
+                frame = null;
+                pending.clear();
+            },
+        };
+    };
+    
+    return { settings, apply, clear, observe };
+}
+
 // ════════════════════════════════════════════════════════════════════════════════
 // AUTO-INIT (Optional)
 // ════════════════════════════════════════════════════════════════════════════════
@@ -464,6 +1281,9 @@ export const holyGrail = {
     transform,
     transformElement,
     revert,
+    refresh,
+    createHandwriter,
+    checkAccessibility,
     loadDependencies,
     SETTINGS,
 };
@@ -0,0 +1,52 @@
+/**
+ * Screen reader check shared by katex-handwriting-geometry.js and
+ * holy-grail-katex.js. Screen readers read an equation from KaTeX's
+ * .katex-mathml (or an aria-label on it or on a holy-grail wrapper); drawn
+ * strokes must stay out of the way.
+ */
+
+import { getTexSource } from './katex-geometry-shared.js';
+
+function hiddenFromReaders(el) {
+    if (getComputedStyle(el).visibility === 'hidden') return true;
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+        if (node.getAttribute('aria-hidden') === 'true') return true;
+        if (getComputedStyle(node).display === 'none') return true;
+    }
+    return false;
+}
+
+/**
+ * Collect the problems checkAccessibility() reports and log them, so each
+ * module's report carries its own name.
+ * 
+ * @param {Document|Element} root
+ * @param {string} logPrefix - Console prefix of the calling module
+ * @returns {Array<{ element: Element, tex: string, problem: string }>} Empty when all is well
+ */
+export function reportAccessibility(root, logPrefix) {
+    const problems = [];
+    
+    root.querySelectorAll('.katex').forEach(katexEl => {
+        const container = katexEl.closest('.holy-grail-transformed') || katexEl;
+        const tex = getTexSource(katexEl);
+        
+        const mathml = Array.from(container.querySelectorAll('.katex-mathml'));
+        const readable = mathml.some(el => !hiddenFromReaders(el))
+            || [container, katexEl].some(el => el.hasAttribute('aria-label') && !hiddenFromReaders(el));
+        if (!readable) problems.push({ element: katexEl, tex, problem: 'math is hidden from screen readers' });
+        
+        container.querySelectorAll('svg, canvas').forEach(graphic => {
+            if (graphic.closest('.katex-mathml') || hiddenFromReaders(graphic)) return;
+            if (graphic.hasAttribute('aria-label') || graphic.hasAttribute('aria-labelledby')) return;
+            problems.push({ element: graphic, tex, problem: 'unlabeled graphic is not aria-hidden' });
+        });
+    });
+    
+    if (problems.length > 0) {
+        console.warn(`${logPrefix} ${problems.length} accessibility problem(s):`, problems);
+    } else {
+        console.log(`${logPrefix} Accessibility check passed`);
+    }
+    return problems;
+}
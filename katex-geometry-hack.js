@@ -8,11 +8,57 @@
  * ╚══════════════════════════════════════════════════════════════════════════════╝
  */
 
-import { getStroke } from 'https://esm.sh/perfect-freehand@1.2.0';
-import rough from 'https://unpkg.com/roughjs@latest/bundled/rough.esm.js';
+import { getStroke as vendoredGetStroke } from './perfect-freehand.js';
+import {
+    sqrtCorners, hugCorners, classifyArrow, arrowRowStrokes,
+    BOND_SELECTOR, bondLines, bondLineYs,
+} from './katex-geometry-shared.js';
 
-// Initialize Rough Generator
-const generator = rough.generator();
+// ════════════════════════════════════════════════════════════════════════════════
+// DEPENDENCIES (local by default - no network needed)
+// ════════════════════════════════════════════════════════════════════════════════
+
+// A blocked <script> (CSP, offline) may never fire load or error, and this
+// module's evaluation waits for it
+const ROUGH_LOAD_TIMEOUT = 5000;
+
+function loadLocalRough() {
+    if (window.rough) return Promise.resolve(window.rough);
+    
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = new URL('./rough.js', import.meta.url).href;
+        const timer = setTimeout(() => reject(new Error(`Timed out loading ${script.src}`)), ROUGH_LOAD_TIMEOUT);
+        script.onload = () => {
+            clearTimeout(timer);
+            if (window.rough) resolve(window.rough);
+            else reject(new Error(`${script.src} did not define rough`));
+        };
+        script.onerror = () => {
+            clearTimeout(timer);
+            reject(new Error(`Failed to load ${script.src}`));
+        };
+        document.head.appendChild(script);
+    });
+}
+
+let getStroke = vendoredGetStroke;
+let generator = null;
+
+try {
+    generator = (await loadLocalRough()).generator();
+} catch (e) {
+    console.warn('[KaTeX-Hybrid] Local rough.js unavailable, call setDependencies():', e);
+}
+
+/**
+ * Swap in your own engines instead of the bundled ones
+ * @param {Object} deps - { getStroke, generator } (either may be omitted)
+ */
+function setDependencies(deps = {}) {
+    if (deps.getStroke) getStroke = deps.getStroke;
+    if (deps.generator) generator = deps.generator;
+}
 
 // ════════════════════════════════════════════════════════════════════════════════
 // SETTINGS
@@ -28,7 +74,8 @@ const BASE_SETTINGS = {
     // Rough.js (Geometry) Settings
     roughness: 1.8,     // How messy the lines are
     bowing: 1,          // How curved lines are
-    disableMultiStroke: false // false = double lines (sketchy), true = single line
+    disableMultiStroke: false, // false = double lines (sketchy), true = single line
+    fillStyle: 'hachure',  // \colorbox fill: hachure, cross-hatch, zigzag, dots, solid
 };
 
 /**
@@ -41,22 +88,50 @@ function getRandomizedSettings() {
 
     return {
         // Ink properties
-        size: clamp(rand(BASE_SETTINGS.size, 1.5), 2, 8),
-        thinning: clamp(rand(BASE_SETTINGS.thinning, 0.1), -0.5, 0.5),
+        size: clamp(rand(activeSettings.size, 1.5), 2, 8),
+        thinning: clamp(rand(activeSettings.thinning, 0.1), -0.5, 0.5),
         smoothing: 0.5,
         streamline: 0.5,
         simulatePressure: true,
 
         // Rough.js properties
-        roughness: clamp(rand(BASE_SETTINGS.roughness, 0.5), 0.5, 3),
-        bowing: clamp(rand(BASE_SETTINGS.bowing, 0.5), 0, 2),
-        disableMultiStroke: BASE_SETTINGS.disableMultiStroke,
+        roughness: clamp(rand(activeSettings.roughness, 0.5), 0.5, 3),
+        bowing: clamp(rand(activeSettings.bowing, 0.5), 0, 2),
+        disableMultiStroke: activeSettings.disableMultiStroke,
         
         // Random seed for Rough.js to keep strokes consistent on re-renders if needed
         seed: Math.floor(Math.random() * 1000)
     };
 }
 
+// ════════════════════════════════════════════════════════════════════════════════
+// SCOPE & OWNERSHIP
+// ════════════════════════════════════════════════════════════════════════════════
+
+// Settings the processors read: BASE_SETTINGS, or a handwriter's own copy
+let activeSettings = BASE_SETTINGS;
+
+// Equation → settings it was drawn with; runs with other settings skip it
+// until it is cleared
+const katexOwners = new WeakMap();
+
+function katexIn(root) {
+    const own = root.closest ? root.closest('.katex') : null;
+    return own ? [own] : Array.from(root.querySelectorAll('.katex'));
+}
+
+// Matches inside KaTeX under `root`, skipping equations drawn with other
+// settings than `owner` (null: every equation)
+function query(root, selector, owner = activeSettings) {
+    const scoped = selector.split(',').map(sel => `.katex ${sel.trim()}`).join(', ');
+    const found = Array.from(root.querySelectorAll(scoped));
+    if (owner === null) return found;
+    return found.filter(el => {
+        const drawnWith = katexOwners.get(el.closest('.katex'));
+        return drawnWith === undefined || drawnWith === owner;
+    });
+}
+
 // ════════════════════════════════════════════════════════════════════════════════
 // THE BRIDGE: ROUGH.JS -> PERFECT FREEHAND
 // ════════════════════════════════════════════════════════════════════════════════
@@ -101,12 +176,40 @@ function interpolateLine(p0, p1, segments = 5) {
     return points;
 }
 
+// Hachure and zigzag fills are many short lines, each starting with a move
+function splitAtMoves(ops) {
+    return ops.reduce((runs, op) => {
+        if (op.op === 'move' || runs.length === 0) runs.push([]);
+        runs[runs.length - 1].push(op);
+        return runs;
+    }, []);
+}
+
 /**
  * Takes a Rough.js "Drawable" and renders it using Perfect Freehand logic
  */
 function drawRoughShape(svg, drawable, color, settings) {
+    const fill = (drawable.options && drawable.options.fill) || color;
+    
     // Rough.js returns 'sets' (paths). A sketchy line might have 2 sets (double stroke).
     drawable.sets.forEach(set => {
+        // Solid fills are filled as rough.js outlined them
+        if (set.type === 'fillPath') {
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', set.ops.map(op => (op.op === 'move' ? 'M' : op.op === 'lineTo' ? 'L' : 'C') + op.data.join(',')).join('') + 'Z');
+            path.setAttribute('fill', fill);
+            svg.appendChild(path);
+            return;
+        }
+        
+        // Hachure lines are inked one by one, thinner than the outline
+        if (set.type === 'fillSketch') {
+            splitAtMoves(set.ops).forEach(ops => {
+                drawRoughShape(svg, { sets: [{ type: 'path', ops }] }, fill, { ...settings, size: settings.size / 2 });
+            });
+            return;
+        }
+        
         let points = [];
         let currentPos = [0, 0];
 
@@ -161,6 +264,7 @@ function createSVG(w, h) {
     // Allow overflow for wobbles
     svg.style.cssText = 'position:absolute;left:0;top:0;pointer-events:none;overflow:visible;z-index:10;';
     svg.classList.add('hwk-overlay');
+    svg.setAttribute('aria-hidden', 'true');
     return svg;
 }
 
@@ -168,9 +272,9 @@ function createSVG(w, h) {
 // PROCESSORS (100% Same Logic as your file, just swapped the drawing function)
 // ════════════════════════════════════════════════════════════════════════════════
 
-function processHorizontalLines() {
+function processHorizontalLines(root) {
     const selector = '.frac-line, .overline-line, .underline-line, .hline, .sout';
-    document.querySelectorAll(selector).forEach(el => {
+    query(root, selector).forEach(el => {
         if (el.dataset.hwk) return; el.dataset.hwk = '1';
         
         const rect = el.getBoundingClientRect();
@@ -195,9 +299,9 @@ function processHorizontalLines() {
     });
 }
 
-function processSqrt() {
+function processSqrt(root) {
     // 1. Map Phase (Keep exact same logic to handle nested sqrts)
-    const allSqrts = Array.from(document.querySelectorAll('.sqrt'));
+    const allSqrts = Array.from(query(root, '.sqrt'));
     const sqrtToSvg = new Map();
     
     const findDirectSvg = (sqrtEl) => {
@@ -241,17 +345,34 @@ function processSqrt() {
         
         const s = getRandomizedSettings();
         
-        // Use Rough.js Generator for the 4 parts
-        // Note: We use generator.line for each segment to control them precisely
-        const l1 = generator.line(0, midY + 2, surdW * 0.38, midY, s);
-        const l2 = generator.line(surdW * 0.38, midY, surdW * 0.62, bottomY, s);
-        const l3 = generator.line(surdW * 0.62, bottomY, surdW, topY, s);
-        const l4 = generator.line(surdW - 1, topY, w, topY, s);
-
-        drawRoughShape(svg, l1, color, s);
-        drawRoughShape(svg, l2, color, s);
-        drawRoughShape(svg, l3, color, s);
-        drawRoughShape(svg, l4, color, s);
+        // Corners come from KaTeX's own surd (sqrtMain, sqrtSize1-4, sqrtTall),
+        // scaled from viewBox units; the old fixed proportions are the fallback
+        const found = sqrtCorners(origSvg);
+        const vbHeight = Number((origSvg.getAttribute('viewBox') || '').split(' ')[3]);
+        const toPx = ([x, y]) => [x * h / vbHeight, y * h / vbHeight];
+        const c = found && vbHeight
+            ? { tick: toPx(found.tick), hook: toPx(found.hook), valley: toPx(found.valley), corner: toPx(found.corner) }
+            : { tick: [0, midY + 2], hook: [surdW * 0.38, midY], valley: [surdW * 0.62, bottomY], corner: [surdW, topY] };
+        
+        // An index (\sqrt[n]{}) sits over the tick, so start it nearer the hook
+        const tick = sqrtEl.querySelector(':scope > .root')
+            ? [(c.tick[0] + c.hook[0]) / 2, (c.tick[1] + c.hook[1]) / 2]
+            : c.tick;
+        
+        // Pen runs half a stroke inside the outline, overshoots the corner a
+        // little, then turns into the vinculum - all in one pen-down stroke
+        const vinculumY = c.corner[1] + s.size / 2;
+        const valley = [c.valley[0], c.valley[1] - s.size / 2];
+        const overshoot = Math.max(1, h * 0.04);
+        const upLen = Math.hypot(c.corner[0] - valley[0], vinculumY - valley[1]) || 1;
+        const past = [
+            c.corner[0] + (c.corner[0] - valley[0]) / upLen * overshoot,
+            Math.max(1, vinculumY + (vinculumY - valley[1]) / upLen * overshoot)
+        ];
+        
+        const corners = [tick, c.hook, valley, past, [c.corner[0] + overshoot, vinculumY], [w, vinculumY]];
+        const stroke = generator.curve(hugCorners(corners), { ...s, disableMultiStroke: true });
+        drawRoughShape(svg, stroke, color, s);
         
         origSvg.style.opacity = '0';
         origSvg.parentElement.style.position = 'relative';
@@ -259,60 +380,158 @@ function processSqrt() {
     });
 }
 
-function processBoxed() {
-    document.querySelectorAll('.boxed, .fbox').forEach(el => {
+// mhchem: reaction arrows (\ce{->}, \ce{<=>>}, ...) are x-arrows and go through
+// processArrows. Bonds are plain glyphs; bondLines() tells them from ordinary
+// math that looks the same.
+
+function processChemicalBonds(root) {
+    query(root, BOND_SELECTOR).forEach(el => {
+        if (el.dataset.hwk) return;
+        
+        const lines = bondLines(el);
+        if (!lines) return;
+        el.dataset.hwk = '1';
+        
+        const rect = el.getBoundingClientRect();
+        const w = rect.width, h = rect.height;
+        if (w < 3 || h < 3) return;
+        
+        const em = parseFloat(getComputedStyle(el).fontSize) || 16;
+        const color = getComputedStyle(el).color || '#000';
+        
+        const svg = createSVG(w, h);
+        const s = getRandomizedSettings();
+        
+        // Steadier and thinner than other lines, or the bars of ≡ run together
+        s.size = Math.max(1.5, Math.min(3, em / 8));
+        s.roughness = Math.min(s.roughness, 0.8);
+        
+        bondLineYs(el, rect, lines, em).forEach(y => {
+            drawRoughShape(svg, generator.line(0.08 * em, y, w - 0.08 * em, y, { ...s, disableMultiStroke: true }), color, s);
+        });
+        
+        el.dataset.hwkColor = el.style.color;
+        el.style.color = 'transparent';
+        el.style.position = 'relative';
+        el.appendChild(svg);
+    });
+}
+
+function processBoxed(root) {
+    query(root, '.boxed, .fbox, .colorbox, .fcolorbox').forEach(el => {
         if (el.dataset.hwk) return; el.dataset.hwk = '1';
         
         const rect = el.getBoundingClientRect();
         const w = rect.width, h = rect.height;
-        const color = getComputedStyle(el).borderColor || getComputedStyle(el).color || '#000';
+        const style = getComputedStyle(el);
+        const color = style.borderColor || style.color || '#000';
         
         const svg = createSVG(w, h);
         const s = getRandomizedSettings();
         
-        // ROUGH GENERATOR CALL
-        const shape = generator.rectangle(1, 1, w-2, h-2, s);
+        // \colorbox / \fcolorbox: a hand-drawn fill in the box color instead of the flat background
+        const filled = el.classList.contains('colorbox') || el.classList.contains('fcolorbox');
+        const opts = filled
+            ? { ...s, fill: style.backgroundColor, fillStyle: activeSettings.fillStyle, hachureGap: 4 }
+            : s;
+        if (el.classList.contains('colorbox')) opts.stroke = 'none';
+        
+        const shape = generator.rectangle(1, 1, w-2, h-2, opts);
         drawRoughShape(svg, shape, color, s);
         
+        // KaTeX's own border and background longhands come back on clear
+        el.dataset.hwkStyle = el.getAttribute('style') || '';
+        if (filled) {
+            // Under the box's content, which KaTeX stacks after the box
+            svg.style.zIndex = 'auto';
+            el.style.backgroundColor = 'transparent';
+        }
         el.style.position = 'relative';
         el.style.border = 'none';
         el.appendChild(svg);
     });
 }
 
-function processArrows() {
-    document.querySelectorAll('.x-arrow, .stretchy').forEach(el => {
-        if (el.closest('.sqrt')) return;
-        const origSvg = el.querySelector('svg');
-        if (!origSvg || origSvg.dataset.hwk) return; origSvg.dataset.hwk = '1';
+function processArrows(root) {
+    query(root, '.x-arrow .svg-align, .accent .svg-align, .accentunder .svg-align').forEach(el => {
+        const pieces = Array.from(el.querySelectorAll('.hide-tail > svg, .halfarrow-left > svg, .halfarrow-right > svg'));
+        if (pieces.length === 0 || pieces[0].dataset.hwk) return;
+        pieces.forEach(piece => piece.dataset.hwk = '1');
+        
+        const rows = classifyArrow(pieces);
+        if (!rows) return;
         
         const rect = el.getBoundingClientRect();
         const w = rect.width, h = rect.height;
+        if (w < 15 || h < 3) return;
+        
         const color = getComputedStyle(el).color || '#000';
-        const midY = h / 2;
-        const arrowSize = Math.min(h * 0.4, 6);
+        const rowHeight = h / rows.length;
+        const arrowSize = Math.min(rowHeight * 0.4, 6);
         
         const svg = createSVG(w, h);
         const s = getRandomizedSettings();
 
-        // Shaft
-        const l1 = generator.line(3, midY, w - arrowSize - 2, midY, s);
-        // Arrowhead
-        const l2 = generator.line(w - arrowSize - 2, midY - arrowSize, w - 2, midY, s);
-        const l3 = generator.line(w - arrowSize - 2, midY + arrowSize, w - 2, midY, s);
+        rows.forEach((row, i) => {
+            const inset = (row.inset || 0) * h;
+            arrowRowStrokes(row, 3 + inset, w - 2 - inset, rowHeight * (i + 0.5), arrowSize).forEach(points => {
+                // Single pass: a second one would be joined back to the start
+                const opts = { ...s, disableMultiStroke: true };
+                const shape = points.length > 3 ? generator.curve(points, opts) : generator.linearPath(points, opts);
+                drawRoughShape(svg, shape, color, s);
+            });
+        });
+        
+        pieces.forEach(piece => piece.style.opacity = '0');
+        el.style.position = 'relative';
+        el.appendChild(svg);
+    });
+}
 
-        drawRoughShape(svg, l1, color, s);
-        drawRoughShape(svg, l2, color, s);
-        drawRoughShape(svg, l3, color, s);
+// \begin{CD}: @>>> @<<< and @= go through processArrows above. Vertical arrows
+// (@VVV, @AAA) are a stretched ↓ / ↑ glyph stack with the labels beside it -
+// only the stack is redrawn, so the labels stay where KaTeX put them. @| is a
+// tall \Vert like any other and stays typeset (this file has no delimiter
+// processor), so a ‖ in an ordinary matrix is never mistaken for it.
+function processCommutativeDiagrams(root) {
+    query(root, '.cd-vert-arrow .delimsizing').forEach(el => {
+        if (el.dataset.hwk) return;
         
-        origSvg.style.opacity = '0';
+        const glyphs = el.textContent;
+        const pointsDown = glyphs.includes('↓');
+        if (!pointsDown && !glyphs.includes('↑')) return;
+        el.dataset.hwk = '1';
+        
+        const rect = el.getBoundingClientRect();
+        const w = rect.width, h = rect.height;
+        if (w < 3 || h < 10) return;
+        
+        const color = getComputedStyle(el).color || '#000';
+        const arrowSize = Math.min(w * 0.4, 6);
+        const row = pointsDown
+            ? { shaft: 'single', left: 'none', right: 'head' }
+            : { shaft: 'single', left: 'head', right: 'none' };
+        
+        const svg = createSVG(w, h);
+        const s = getRandomizedSettings();
+        
+        // Laid out like a horizontal arrow, then stood upright
+        arrowRowStrokes(row, 2, h - 2, w / 2, arrowSize).forEach(points => {
+            const upright = points.map(([x, y]) => [y, x]);
+            drawRoughShape(svg, generator.linearPath(upright, s), color, s);
+        });
+        
+        el.querySelectorAll('svg, .delimsizinginner').forEach(piece => {
+            piece.dataset.hwk = '1';
+            piece.style.opacity = '0';
+        });
         el.style.position = 'relative';
         el.appendChild(svg);
     });
 }
 
-function processBraces() {
-    document.querySelectorAll('.munder svg, .mover svg').forEach(svg => {
+function processBraces(root) {
+    query(root, '.munder svg, .mover svg').forEach(svg => {
         if (svg.dataset.hwk) return;
         const rect = svg.getBoundingClientRect();
         const w = rect.width, h = rect.height;
@@ -363,22 +582,116 @@ function processBraces() {
 // EXPORT & RUN
 // ════════════════════════════════════════════════════════════════════════════════
 
-function applyHandwritingGeometry() {
-    processHorizontalLines();
-    processSqrt();
-    processArrows();
-    processBoxed();
-    processBraces();
+function applyHandwritingGeometry(root = document) {
+    applyWithSettings(root, BASE_SETTINGS);
 }
 
-function clearHandwritingGeometry() {
-    document.querySelectorAll('.hwk-overlay').forEach(svg => svg.remove());
-    document.querySelectorAll('[data-hwk]').forEach(el => {
+function applyWithSettings(root, settings) {
+    if (!generator) {
+        throw new Error('rough.js is not loaded: call setDependencies({ generator: rough.generator() }) first');
+    }
+    
+    katexIn(root).forEach(katexEl => {
+        if (!katexOwners.has(katexEl)) katexOwners.set(katexEl, settings);
+    });
+    
+    activeSettings = settings;
+    try {
+        processHorizontalLines(root);
+        processSqrt(root);
+        processArrows(root);
+        processCommutativeDiagrams(root);
+        processChemicalBonds(root);
+        processBoxed(root);
+        processBraces(root);
+    } finally {
+        activeSettings = BASE_SETTINGS;
+    }
+}
+
+function clearHandwritingGeometry(root = document) {
+    revert(root, null);
+}
+
+// Only equations drawn with `owner` when one is given
+function revert(root, owner) {
+    query(root, '.hwk-overlay', owner).forEach(svg => svg.remove());
+    query(root, '[data-hwk]', owner).forEach(el => {
         el.removeAttribute('data-hwk');
         el.style.borderBottomColor = '';
         el.style.opacity = '';
         el.style.border = '';
     });
+    query(root, '[data-hwk-color]', owner).forEach(el => {
+        el.style.color = el.dataset.hwkColor;
+        el.removeAttribute('data-hwk-color');
+    });
+    query(root, '[data-hwk-style]', owner).forEach(el => {
+        el.setAttribute('style', el.dataset.hwkStyle);
+        el.removeAttribute('data-hwk-style');
+    });
+    
+    katexIn(root).forEach(katexEl => {
+        if (owner === null || katexOwners.get(katexEl) === owner) katexOwners.delete(katexEl);
+    });
+}
+
+/**
+ * A handwriter with its own copy of BASE_SETTINGS, `options` merged over it,
+ * so two inks can share a page without touching BASE_SETTINGS. An equation
+ * belongs to the first handwriter that draws it until it is cleared, and
+ * clear() (by default in every root this one applied to) only removes this
+ * handwriter's strokes.
+ * 
+ * @param {Object} [options] - Any of BASE_SETTINGS
+ * @returns {{ settings: Object, apply: Function, clear: Function, observe: Function }}
+ *   apply(root) and clear(root) work like the module functions; observe(root)
+ *   also draws KaTeX added to `root` later and returns { disconnect }.
+ */
+function createHandwriter(options = {}) {
+    const settings = { ...BASE_SETTINGS, ...options };
+    const roots = new Set();
+    
+    const apply = (root = document) => {
+        roots.add(root);
+        applyWithSettings(root, settings);
+    };
+    
+    const clear = (root = null) => {
+        const targets = root ? [root] : Array.from(roots);
+        targets.forEach(target => {
+            revert(target, settings);
+            roots.delete(target);
+        });
+    };
+    
+    const observe = (root = document.body) => {
+        apply(root);
+        let frame = null;
+        
+        const observer = new MutationObserver(mutations => {
+            const added = mutations.some(mutation => Array.from(mutation.addedNodes).some(node =>
+                node.nodeType === Node.ELEMENT_NODE && !node.closest('.hwk-overlay')
+                && (node.matches('.katex') || node.querySelector('.katex') !== null)));
+            if (added && frame === null) {
+                frame = requestAnimationFrame(() => {
+                    frame = null;
+                    applyWithSettings(root, settings);
+                });
+            }
+        });
+        observer.observe(root, { childList: true, subtree: true });
+        
+        return {
+            disconnect() {
+                observer.disconnect();
+                if (frame !== null) cancelAnimationFrame(frame);
+                frame = null;
+            },
+        };
+    };
+    
+    return { settings, apply, clear, observe };
 }
 
 window.applyHandwritingGeometry = applyHandwritingGeometry;
@@ -386,7 +699,7 @@ window.clearHandwritingGeometry = clearHandwritingGeometry;
 
 
 // Also export as ES module
-export { applyHandwritingGeometry, clearHandwritingGeometry, BASE_SETTINGS };
+export { applyHandwritingGeometry, clearHandwritingGeometry, createHandwriter, setDependencies, BASE_SETTINGS };
 
 // ════════════════════════════════════════════════════════════════════════════════
 // TEMPLATE: FUTURE PROCESSORS
@@ -397,8 +710,8 @@ export { applyHandwritingGeometry, clearHandwritingGeometry, BASE_SETTINGS };
 // TEMPLATE: How to add a new processor
 // ─────────────────────────────────────────────────────────────────────────────
 
-function processNewElement() {
-    document.querySelectorAll('.new-katex-class').forEach(el => {
+function processNewElement(root) {
+    query(root, '.new-katex-class').forEach(el => {
         if (el.dataset.hwk) return;
         el.dataset.hwk = '1';
         
@@ -421,7 +734,7 @@ function processNewElement() {
 }
 
 // Then add to applyHandwritingGeometry():
-// processNewElement();
+// processNewElement(root);
 */
 
 // ════════════════════════════════════════════════════════════════════════════════
@@ -430,8 +743,8 @@ function processNewElement() {
 
 /*
  * - [ ] Matrix borders (need to identify KaTeX class)
- * - [ ] Chemistry bonds (mhchem extension)
- * - [ ] Commutative diagrams (CD environment)
+ * - [x] Chemistry bonds (mhchem extension)
+ * - [x] Commutative diagrams (CD environment)
  * - [ ] Long division symbols
  * - [ ] Custom delimiters when they become SVG
  * - [ ] Tensor notation brackets
@@ -0,0 +1,302 @@
+/**
+ * Geometry helpers shared by katex-handwriting-geometry.js, katex-geometry-hack.js
+ * and katex-geometry-hack-v2.1.js: reading KaTeX's own SVG paths (surds, arrow
+ * slices), telling mhchem bonds from ordinary math, and the TeX source of an
+ * equation. Nothing here draws; each renderer turns the results into strokes
+ * its own way.
+ */
+
+// ════════════════════════════════════════════════════════════════════════════════
+// SVG PATHS
+// ════════════════════════════════════════════════════════════════════════════════
+
+// Absolute [x, y] end points of every segment in an SVG path
+export function parsePathPoints(d) {
+    const ARGS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7 };
+    const tokens = d.match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) || [];
+    const points = [];
+    let cmd = 'M', x = 0, y = 0, i = 0;
+    
+    while (i < tokens.length) {
+        if (/[a-zA-Z]/.test(tokens[i])) cmd = tokens[i++];
+        
+        const upper = cmd.toUpperCase();
+        const rel = cmd !== upper;
+        const n = ARGS[upper];
+        if (!n) { i++; continue; }
+        
+        const args = tokens.slice(i, i + n).map(Number);
+        if (args.length < n || args.some(isNaN)) break;
+        i += n;
+        
+        if (upper === 'H') x = rel ? x + args[0] : args[0];
+        else if (upper === 'V') y = rel ? y + args[0] : args[0];
+        else {
+            x = rel ? x + args[n - 2] : args[n - 2];
+            y = rel ? y + args[n - 1] : args[n - 1];
+        }
+        points.push([x, y]);
+        if (upper === 'M') cmd = rel ? 'l' : 'L';
+    }
+    return points;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// SQUARE ROOTS
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Key points of KaTeX's surd, read from its path: the start of the tick, the
+ * top of the hook, the valley and the corner where the vinculum starts. This
+ * works for sqrtMain, sqrtSize1-4 and sqrtTall (whose right side is vertical).
+ * Returns null when the path cannot be read.
+ */
+export function sqrtCorners(svg) {
+    const d = Array.from(svg.querySelectorAll('path')).map(p => p.getAttribute('d') || '').join(' ');
+    const points = parsePathPoints(d).filter(([x]) => x < 2000); // drop the vinculum tail
+    if (points.length < 4) return null;
+    
+    const valley = points.reduce((a, b) => (b[1] > a[1] ? b : a));
+    const left = points.filter(([x]) => x < valley[0]);
+    const right = points.filter(([x]) => x > valley[0]);
+    if (left.length === 0 || right.length === 0) return null;
+    
+    const tick = left.reduce((a, b) => (b[0] < a[0] ? b : a));
+    // Stay clear of sqrtTall's vertical stroke, which also sits left of the valley
+    const hookZone = left.filter(([x]) => x > tick[0] && x < valley[0] - (valley[0] - tick[0]) * 0.15);
+    const hook = hookZone.reduce((a, b) => (b[1] < a[1] ? b : a), tick);
+    const corner = right.reduce((a, b) => (b[1] < a[1] ? b : a));
+    
+    return { tick, hook, valley, corner };
+}
+
+/**
+ * Curve points that hug each inner corner (cut back by `rounding` of the
+ * shorter side), so one rough curve through them turns crisply but not sharply
+ */
+export function hugCorners(corners, rounding = 0.15) {
+    const points = [corners[0]];
+    for (let i = 1; i < corners.length - 1; i++) {
+        const [px, py] = corners[i - 1], [x, y] = corners[i], [nx, ny] = corners[i + 1];
+        const before = Math.hypot(x - px, y - py) || 1, after = Math.hypot(nx - x, ny - y) || 1;
+        const cut = Math.min(before, after) * rounding;
+        const inPt = [x + (px - x) * cut / before, y + (py - y) * cut / before];
+        const outPt = [x + (nx - x) * cut / after, y + (ny - y) * cut / after];
+        const mid = [(inPt[0] + outPt[0]) / 2, (inPt[1] + outPt[1]) / 2];
+        points.push(inPt, [mid[0] + (x - mid[0]) * 0.6, mid[1] + (y - mid[1]) * 0.6], outPt);
+    }
+    points.push(corners[corners.length - 1]);
+    return points;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// EXTENSIBLE ARROWS
+// ════════════════════════════════════════════════════════════════════════════════
+
+// KaTeX draws each extensible arrow as one or two 400000-wide SVG slices
+// (.hide-tail, or .halfarrow-left + .halfarrow-right) whose visible end is
+// pinned by preserveAspectRatio. The viewBox height names the family; the path
+// points near the pinned end tell which cap (head, hook, bar, harpoon) it has.
+const ARROW_FAMILIES = {
+    522: 'single',      // → ← ↔ ↦ ↪ ↩ ⇀ ⇁ ↼ ↽
+    560: 'double',      // ⇒ ⇐ ⇔
+    334: 'narrow',      // ↠ ↞ and \xlongequal
+    528: 'arrows',      // \xtofrom
+    716: 'harpoons',    // ⇌ ⇋ and mhchem's <=>> <<=>
+    901: 'arrows',      // ⇄
+};
+
+function arrowEnd(svg) {
+    const [, , , vbHeight] = (svg.getAttribute('viewBox') || '').split(' ').map(Number);
+    const fromLeft = (svg.getAttribute('preserveAspectRatio') || '').includes('xMin');
+    const d = Array.from(svg.querySelectorAll('path')).map(p => p.getAttribute('d') || '').join(' ');
+    
+    // x becomes the distance from the pinned end, so both sides read the same
+    const points = parsePathPoints(d).map(([x, y]) => [fromLeft ? x : 400000 - x, y]);
+    const tip = points.filter(([dist]) => Math.abs(dist) < 60).map(([, y]) => y);
+    const tipY = tip.length ? (Math.min(...tip) + Math.max(...tip)) / 2 : vbHeight / 2;
+    
+    return { fromLeft, vbHeight, points, tip, tipY };
+}
+
+function classifyArrowCap(end) {
+    if (!end || end.tip.length === 0) return 'none';
+    
+    // KaTeX centers the shaft (or the pair of shafts) in the viewBox
+    const { points, tip, tipY, vbHeight } = end;
+    const shaftY = vbHeight / 2;
+    const barbs = points.filter(([dist]) => dist >= 60 && dist < 600).map(([, y]) => y);
+    
+    if (Math.max(...tip) - Math.min(...tip) > vbHeight * 0.5) return 'bar';
+    if (tipY < shaftY - vbHeight * 0.15) return 'hook';
+    
+    const up = barbs.some(y => y < shaftY - vbHeight * 0.25);
+    const down = barbs.some(y => y > shaftY + vbHeight * 0.25);
+    if (up && down) return 'head';
+    if (up) return 'harpoonUp';
+    if (down) return 'harpoonDown';
+    return 'none';
+}
+
+// How far in from the pinned end the outermost barb point sits
+function barbDepth(end, side) {
+    const near = end.points.filter(([dist]) => dist >= 0 && dist < 3000);
+    if (near.length === 0) return 0;
+    const ys = near.map(([, y]) => y);
+    const edge = side === 'top' ? Math.min(...ys) : Math.max(...ys);
+    return Math.min(...near.filter(([, y]) => Math.abs(y - edge) < 30).map(([dist]) => dist));
+}
+
+/**
+ * Returns one row per arrow to draw, top to bottom:
+ *   { shaft: 'single' | 'double' | 'equal', left: cap, right: cap, inset? }
+ * where cap is none, head, twohead, harpoonUp, harpoonDown, hook or bar, and
+ * inset (a fraction of the arrow height) shortens the row at both ends.
+ * null means the slices are not an arrow we know.
+ */
+export function classifyArrow(pieces) {
+    const ends = pieces.map(arrowEnd);
+    const family = ARROW_FAMILIES[ends[0].vbHeight];
+    if (!family) return null;
+    
+    const left = ends.find(end => end.fromLeft);
+    const right = ends.find(end => !end.fromLeft);
+    
+    if (family === 'arrows' || family === 'harpoons') {
+        if (!left || !right) return null;
+        const rightOnTop = right.tipY < left.tipY;
+        const [upper, lower] = family === 'harpoons' ? ['harpoonUp', 'harpoonDown'] : ['head', 'head'];
+        const toRight = cap => ({ shaft: 'single', left: 'none', right: cap });
+        const toLeft = cap => ({ shaft: 'single', left: cap, right: 'none' });
+        const rows = rightOnTop ? [toRight(upper), toLeft(lower)] : [toLeft(upper), toRight(lower)];
+        
+        // mhchem's \ce{<=>>} and \ce{<<=>} pull one harpoon in from both ends
+        if (family === 'harpoons') {
+            const [top, bottom] = rightOnTop ? [right, left] : [left, right];
+            const shortBy = barbDepth(bottom, 'bottom') - barbDepth(top, 'top');
+            if (Math.abs(shortBy) > top.vbHeight * 0.3) {
+                rows[shortBy > 0 ? 1 : 0].inset = Math.abs(shortBy) / top.vbHeight;
+            }
+        }
+        return rows;
+    }
+    
+    const row = {
+        shaft: family === 'double' ? 'double' : 'single',
+        left: classifyArrowCap(left),
+        right: classifyArrowCap(right),
+    };
+    
+    if (family === 'narrow') {
+        // \xlongequal is two bare rules; ↠ ↞ double their heads
+        if (row.left === 'none' && row.right === 'none') row.shaft = 'equal';
+        if (row.left === 'head') row.left = 'twohead';
+        if (row.right === 'head') row.right = 'twohead';
+    }
+    return [row];
+}
+
+// dir is +1 for a cap on the right end, -1 for one on the left end
+function arrowCapStrokes(cap, tipX, y, dir, size) {
+    const back = tipX - dir * size;
+    const chevron = offset => [[back - offset, y - size], [tipX - offset, y], [back - offset, y + size]];
+    
+    switch (cap) {
+        case 'head': return [chevron(0)];
+        case 'twohead': return [chevron(0), chevron(dir * size * 0.6)];
+        case 'harpoonUp': return [[[tipX, y], [back, y - size]]];
+        case 'harpoonDown': return [[[tipX, y], [back, y + size]]];
+        case 'bar': return [[[tipX, y - size], [tipX, y + size]]];
+        case 'hook': {
+            // Half circle curling up from the shaft, outermost at tipX
+            const r = size * 0.6;
+            const cx = tipX - dir * r, cy = y - r;
+            return [Array.from({ length: 9 }, (_, i) => {
+                const a = (i / 8) * Math.PI;
+                return [cx + dir * r * Math.sin(a), cy + r * Math.cos(a)];
+            })];
+        }
+        default: return [];
+    }
+}
+
+export function arrowRowStrokes(row, x0, x1, y, size) {
+    const gap = size * 0.45;
+    const capSize = row.shaft === 'double' ? size * 1.25 : size;
+    const inset = cap => (cap === 'hook' ? size * 0.6 : row.shaft === 'double' && cap !== 'none' ? gap : 0);
+    const a = x0 + inset(row.left);
+    const b = x1 - inset(row.right);
+    
+    const strokes = row.shaft === 'single'
+        ? [[[a, y], [b, y]]]
+        : [[[a, y - gap], [b, y - gap]], [[a, y + gap], [b, y + gap]]];
+    
+    return strokes.concat(
+        arrowCapStrokes(row.left, x0, y, -1, capSize),
+        arrowCapStrokes(row.right, x1, y, 1, capSize)
+    );
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// CHEMICAL BONDS
+// ════════════════════════════════════════════════════════════════════════════════
+
+// mhchem's bonds are plain glyphs, each alone in a group of its own
+export const BOND_SELECTOR = '.mord > .mord:only-child, .mord > .mrel:only-child';
+
+const BOND_LINES = { '−': 1, '=': 2, '≡': 3 };
+
+// Baseline of the line `el` sits on, measured without touching the DOM: KaTeX
+// gives each line's .strut a vertical-align of minus the line's depth. null
+// inside a vlist (fractions, scripts), which has baselines of its own.
+function baselineY(el) {
+    const base = el.closest('.base');
+    const strut = base && base.querySelector(':scope > .strut');
+    if (!strut || el.closest('.vlist')) return null;
+    
+    const em = parseFloat(getComputedStyle(strut).fontSize) || 16;
+    const depth = -(parseFloat(strut.style.verticalAlign) || 0);
+    return strut.getBoundingClientRect().bottom - depth * em;
+}
+
+// mhchem leaves no marker in the HTML, and x^{-} or a{=}b put a lone glyph in
+// a group just like a bond does. So a bond has to come from an equation whose
+// TeX uses \ce or \pu and stand next to an upright (\mathrm) atom.
+function isMhchemBond(el, tex) {
+    if (!/\\(ce|pu)\b/.test(tex)) return false;
+    const group = el.parentElement;
+    return [group.previousElementSibling, group.nextElementSibling]
+        .some(n => n && (n.matches('.mathrm') || n.querySelector('.mathrm') !== null));
+}
+
+/**
+ * How many lines the BOND_SELECTOR match `el` is drawn with: 1, 2 or 3 for
+ * an mhchem single, double or triple bond, 0 for anything else
+ */
+export function bondLines(el) {
+    const lines = el.children.length === 0 ? BOND_LINES[el.textContent] : undefined;
+    const katexEl = el.closest('.katex');
+    if (!lines || !katexEl || !isMhchemBond(el, getTexSource(katexEl))) return 0;
+    return lines;
+}
+
+// y of each bond line inside `rect`, el's box. KaTeX's bond glyphs are centered
+// on the math axis, 0.25em above the baseline; = and ≡ space their bars 0.23em
+// and 0.21em apart.
+export function bondLineYs(el, rect, lines, em) {
+    const baseline = baselineY(el);
+    const axisY = baseline === null ? rect.height / 2 : baseline - rect.top - 0.25 * em;
+    const spacing = (lines === 2 ? 0.23 : 0.21) * em;
+    return Array.from({ length: lines }, (_, i) => axisY + (i - (lines - 1) / 2) * spacing);
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// TEX SOURCE
+// ════════════════════════════════════════════════════════════════════════════════
+
+export function getTexSource(katexEl) {
+    const annotation = katexEl.querySelector('.katex-mathml annotation[encoding="application/x-tex"]');
+    if (annotation) return annotation.textContent;
+    // output: 'html' has no MathML, fall back to the rendered text
+    return (katexEl.querySelector('.katex-html') || katexEl).textContent;
+}
@@ -17,26 +17,72 @@
  *   
  *   // Customize settings before applying:
  *   MASTER_SETTINGS.sqrt.roughness = 4.0;
+ *   MASTER_SETTINGS.random.seed = 42;     // Same seed = same strokes on every load
  *   
  *   // After rendering KaTeX:
- *   await initDependencies();
+ *   await initDependencies();             // Local perfect-freehand.js + rough.js
  *   await applyHandwritingGeometry();
+ *   
+ *   // Or only one part of the page:
+ *   await applyHandwritingGeometry(solutionEl, { seed: 7 });
+ *   clearHandwritingGeometry(solutionEl);
+ *   
+ *   // Or process new equations automatically as they are rendered:
+ *   const watcher = observeHandwritingGeometry(chatEl);
+ *   watcher.disconnect();
+ *   
+ *   // Redraw after resize / zoom / late font loads (observe() does this too):
+ *   const layout = observeLayout(document.body);
+ *   
+ *   // Two inks on one page, each with its own settings:
+ *   const teacher = createHandwriter({ global: { roughness: 0.8, color: '#1c5fd4' } });
+ *   const student = createHandwriter({ global: { roughness: 3.2 } });
+ *   await teacher.apply(solutionEl);
+ *   student.observe(answerEl);
+ *   
+ *   // Or bring your own engines:
+ *   await initDependencies({ getStroke, generator: rough.generator() });
+ *   
+ *   // Mark parts of an equation (\htmlId{step}{...} needs KaTeX's trust option):
+ *   const note = await annotate('#step', { type: 'arrow', to: '#result', label: 'factor' });
+ *   note.remove();
+ *   
+ *   // Write the strokes on in pen order (instant under prefers-reduced-motion):
+ *   const pen = animateHandwriting(solutionEl, { duration: 400, stagger: 200 });
+ *   pen.pause(); pen.seek(1000); pen.play();
+ *   
+ *   // Store the exact look of an equation and draw it again later:
+ *   const json = JSON.stringify(exportStrokes(katexEl));
+ *   await replayStrokes(JSON.parse(json), otherKatexEl);
+ *   
+ *   // List equations screen readers can't read (or pass { check: true } to apply):
+ *   checkAccessibility(document);
  * 
- * PROCESSORS (11 total):
+ * PROCESSORS (13 total):
  * ──────────────────────────────────────────────────────────────────────────────
- *   1. processDelimiters()      - Big ( ) [ ] { } | ⟨ ⟩ ⌊ ⌋ ⌈ ⌉
+ *   1. processDelimiters()      - Big ( ) [ ] { } | ‖ ⟨ ⟩ ⌊ ⌋ ⌈ ⌉ / \
  *   2. processHorizontalLines() - Fraction bars, overlines, underlines
- *   3. processSquareRoots()     - √ symbols (including nested)
- *   4. processExtensibleArrows()- \xrightarrow, \xleftarrow, \overrightarrow
+ *   3. processSquareRoots()     - √ as one stroke (nested, \sqrt[n], tall)
+ *   4. processExtensibleArrows()- \xrightarrow, \xLeftrightarrow, \xmapsto, \xhookrightarrow,
+ *                                 harpoons, \xtofrom, \overleftrightarrow, mhchem \ce{<=>>} ...
  *   5. processStretchyBraces()  - \overbrace, \underbrace
- *   6. processWideAccents()     - \widehat, \widetilde
+ *   6. processWideAccents()     - \widehat, \widetilde, \widecheck, \utilde, \overgroup
  *   7. processCancel()          - \cancel, \bcancel, \xcancel
  *   8. processStrikethrough()   - \sout
- *   9. processBoxed()           - \boxed, \fbox
+ *   9. processBoxed()           - \boxed, \fbox, \colorbox / \fcolorbox fills
  *  10. processTableLines()      - \hline, | in arrays/matrices
  *  11. processVectorArrows()    - \vec{} small arrows
+ *  12. processCommutativeDiagrams() - Vertical @VVV / @AAA arrows in \begin{CD}
+ *  13. processChemicalBonds()   - mhchem bonds \ce{C-C}, \ce{C=C}, \ce{C#C}
  */
 
+import { getStroke as vendoredGetStroke } from './perfect-freehand.js';
+import {
+    parsePathPoints, sqrtCorners, classifyArrow, arrowRowStrokes,
+    BOND_SELECTOR, bondLines, bondLineYs, getTexSource,
+} from './katex-geometry-shared.js';
+import { reportAccessibility } from './katex-accessibility.js';
+
 // ╔══════════════════════════════════════════════════════════════════════════════╗
 // ║                                                                              ║
 // ║                    ★★★ MASTER SETTINGS - TWEAK HERE! ★★★                   ║
@@ -60,6 +106,7 @@ export const MASTER_SETTINGS = {
         streamline: 0.4,          // Path simplification [0 - 1] lower = wobbly
         roughness: 2.0,           // Line roughness [0.5 - 4.0]
         bowing: 1.4,              // Line bowing [0.3 - 3.0]
+        color: null,              // Ink color, null = the text color (\color{} always wins)
     },
     
     // ═══════════════════════════════════════════════════════════════════════════
@@ -73,6 +120,16 @@ export const MASTER_SETTINGS = {
         bowing: 0.5,              // Bowing randomness [0 - 1.0]
     },
     
+    // ═══════════════════════════════════════════════════════════════════════════
+    // RANDOM SEED (same equation + same seed = same drawing, every time)
+    // Each element's seed is derived from its equation's TeX source, its
+    // position inside the equation and this global seed.
+    // ═══════════════════════════════════════════════════════════════════════════
+    
+    random: {
+        seed: 1,                  // Global seed, change for a different "hand" [any integer]
+    },
+    
     // ═══════════════════════════════════════════════════════════════════════════
     // LINE INTERPOLATION (waviness of all lines)
     // ═══════════════════════════════════════════════════════════════════════════
@@ -86,7 +143,7 @@ export const MASTER_SETTINGS = {
     },
     
     // ═══════════════════════════════════════════════════════════════════════════
-    // 1. DELIMITERS - ( ) [ ] and stacked { } |
+    // 1. DELIMITERS - ( ) [ ] ⌊ ⌋ ⌈ ⌉ | ‖ and stacked { }
     // ═══════════════════════════════════════════════════════════════════════════
     
     delimiter: {
@@ -96,6 +153,7 @@ export const MASTER_SETTINGS = {
         wobble: 25,               // Random X wobble [5 - 50]
         sizeMultiplier: 55,       // Divide height by this for stroke [30 - 80]
         minSize: 18,              // Minimum stroke size [10 - 30]
+        redrawSized: true,        // Also redraw font-sized ⟨ ⟩ / \ ( ) etc. [true/false]
     },
     
     // ═══════════════════════════════════════════════════════════════════════════
@@ -120,10 +178,12 @@ export const MASTER_SETTINGS = {
         streamline: 0.2,          // Less streamline = wobbly [0.1 - 0.5]
         wobblePercent: 0.06,      // Position wobble % [0.02 - 0.12]
         sizeMultiplier: 14,       // Divide height by this [8 - 20]
+        cornerRounding: 0.2,      // Corner curve as % of shorter side [0 - 0.4]
+        overshootPercent: 0.03,   // Pen runs past the top corner [0 - 0.08]
     },
     
     // ═══════════════════════════════════════════════════════════════════════════
-    // 4. EXTENSIBLE ARROWS - \xrightarrow, \xleftarrow, \overrightarrow
+    // 4. EXTENSIBLE ARROWS - \xrightarrow, \xLeftrightarrow, \xmapsto, \overleftrightarrow
     // ═══════════════════════════════════════════════════════════════════════════
     
     xarrow: {
@@ -147,7 +207,7 @@ export const MASTER_SETTINGS = {
     },
     
     // ═══════════════════════════════════════════════════════════════════════════
-    // 6. WIDE ACCENTS - \widehat, \widetilde
+    // 6. WIDE ACCENTS - \widehat, \widetilde, \widecheck, \utilde, \overgroup
     // ═══════════════════════════════════════════════════════════════════════════
     
     wideAccent: {
@@ -179,7 +239,7 @@ export const MASTER_SETTINGS = {
     },
     
     // ═══════════════════════════════════════════════════════════════════════════
-    // 9. BOXED - \boxed, \fbox
+    // 9. BOXED - \boxed, \fbox, \colorbox, \fcolorbox
     // ═══════════════════════════════════════════════════════════════════════════
     
     boxed: {
@@ -187,6 +247,11 @@ export const MASTER_SETTINGS = {
         bowing: 1.4,              // Box bowing [0.3 - 3.0]
         strokeSize: 2.5,          // Stroke thickness [1.0 - 4.0]
         padding: 2,               // Padding inside box [0 - 6]
+        fillStyle: 'hachure',     // \colorbox fill: hachure, cross-hatch, zigzag, scribble, solid
+        hachureGap: 4,            // Space between fill lines px [2 - 10]
+        hachureAngle: -41,        // Fill line angle in degrees [-90 - 90]
+        fillWeight: 1.5,          // Fill line thickness [0.5 - 4.0]
+        fillOpacity: 0.9,         // Fill opacity [0.2 - 1.0]
     },
     
     // ═══════════════════════════════════════════════════════════════════════════
@@ -211,27 +276,98 @@ export const MASTER_SETTINGS = {
         maxArrowSize: 6,          // Maximum arrowhead size px [3 - 10]
         lineYPercent: 0.55,       // Vertical position of line [0.4 - 0.7]
     },
+    
+    // ═══════════════════════════════════════════════════════════════════════════
+    // 13. CHEMICAL BONDS - mhchem \ce{C-C}, \ce{C=C}, \ce{C#C}
+    // ═══════════════════════════════════════════════════════════════════════════
+    
+    bond: {
+        roughness: 0.6,           // Bond roughness, kept low so = and ≡ bars stay apart [0.2 - 1.5]
+        bowing: 0.8,              // Bond bowing [0.3 - 2.0]
+        strokeSize: 2.0,          // Stroke thickness [1.0 - 4.0]
+    },
+    
+    // ═══════════════════════════════════════════════════════════════════════════
+    // ANNOTATIONS - annotate(): circle, underline, box, bracket, arrow
+    // ═══════════════════════════════════════════════════════════════════════════
+    
+    annotation: {
+        roughness: 1.2,           // Annotation roughness [0.5 - 3.0]
+        bowing: 1.0,              // Annotation bowing [0.3 - 3.0]
+        strokeSize: 2.5,          // Stroke thickness [1.0 - 4.0]
+        color: '#e03131',         // Pen color, null = the equation's own color
+        padding: 4,               // Gap between the mark and its target px [0 - 10]
+        arrowSize: 7,             // Arrowhead size px [4 - 12]
+        labelSize: 0.7,           // Label font size in em [0.4 - 1.2]
+    },
+    
+    // ═══════════════════════════════════════════════════════════════════════════
+    // WRITE-ON ANIMATION - animateHandwriting()
+    // ═══════════════════════════════════════════════════════════════════════════
+    
+    animation: {
+        duration: 350,            // Time to write one stroke ms [100 - 2000]
+        stagger: 250,             // Time between stroke starts ms [0 - 1000]
+        order: 'reading',         // 'reading' (left to right, then down) or 'dom'
+    },
 };
 
+// Settings the processors read: MASTER_SETTINGS, or a handwriter's own copy
+// while one of its apply/observe runs is drawing
+let activeSettings = MASTER_SETTINGS;
+
 // ════════════════════════════════════════════════════════════════════════════════
 // DEPENDENCY MANAGEMENT
+// Works offline: perfect-freehand is vendored next to this file and rough.js is
+// loaded from the bundled ./rough.js. Pass your own getStroke / generator to
+// initDependencies() to use other builds.
 // ════════════════════════════════════════════════════════════════════════════════
 
 let getStroke = null;
 let generator = null;
 let dependenciesLoaded = false;
 
-export async function initDependencies() {
+// A blocked <script> (CSP, offline) may never fire load or error, which would
+// leave initDependencies() waiting forever
+const ROUGH_LOAD_TIMEOUT = 5000;
+
+function loadLocalRough() {
+    if (typeof window !== 'undefined' && window.rough) return Promise.resolve(window.rough);
+    
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = new URL('./rough.js', import.meta.url).href;
+        const timer = setTimeout(() => reject(new Error(`Timed out loading ${script.src}`)), ROUGH_LOAD_TIMEOUT);
+        script.onload = () => {
+            clearTimeout(timer);
+            if (window.rough) resolve(window.rough);
+            else reject(new Error(`${script.src} did not define rough`));
+        };
+        script.onerror = () => {
+            clearTimeout(timer);
+            reject(new Error(`Failed to load ${script.src}`));
+        };
+        document.head.appendChild(script);
+    });
+}
+
+/**
+ * @param {Object} [deps] - Optional injected dependencies
+ * @param {Function} [deps.getStroke] - perfect-freehand's getStroke
+ * @param {Object} [deps.generator] - A rough.js generator (rough.generator())
+ * @param {Object} [deps.rough] - The rough.js module, used if no generator is given
+ */
+export async function initDependencies(deps = {}) {
+    if (deps.getStroke) getStroke = deps.getStroke;
+    if (deps.generator) generator = deps.generator;
+    else if (deps.rough) generator = deps.rough.generator();
+    
+    if (getStroke && generator) dependenciesLoaded = true;
     if (dependenciesLoaded) return { getStroke, generator };
     
     try {
-        const [perfectFreehand, rough] = await Promise.all([
-            import('https://esm.sh/perfect-freehand@1.2.0'),
-            import('https://unpkg.com/roughjs@latest/bundled/rough.esm.js')
-        ]);
-        
-        getStroke = perfectFreehand.getStroke;
-        generator = rough.default.generator();
+        if (!getStroke) getStroke = vendoredGetStroke;
+        if (!generator) generator = (await loadLocalRough()).generator();
         dependenciesLoaded = true;
         
         console.log('[KaTeX-HWG v4.0] Dependencies loaded');
@@ -242,18 +378,85 @@ export async function initDependencies() {
     }
 }
 
+// ════════════════════════════════════════════════════════════════════════════════
+// SEEDED RANDOMNESS
+// ════════════════════════════════════════════════════════════════════════════════
+
+let random = Math.random;
+let globalSeed = MASTER_SETTINGS.random.seed;
+
+// FNV-1a, 32 bit
+function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function elementPath(el, root) {
+    const path = [];
+    while (el && el !== root && el.parentElement) {
+        path.push(Array.prototype.indexOf.call(el.parentElement.children, el));
+        el = el.parentElement;
+    }
+    return path.reverse().join('.');
+}
+
+// Seed each element was first drawn with, kept across re-layouts
+const elementSeeds = new WeakMap();
+
+// Element and kind the strokes being drawn right now belong to
+let drawingFor = null;
+
+/**
+ * Re-seed the shared PRNG for one element. Every processor calls this before
+ * drawing so an element's strokes depend only on its equation, its position
+ * in that equation and the global seed (random.seed of the settings in use
+ * unless applyHandwritingGeometry() was given one).
+ */
+function seedRandom(el, kind) {
+    let seed = elementSeeds.get(el);
+    if (seed === undefined) {
+        const katexEl = el.closest('.katex');
+        const tex = katexEl ? getTexSource(katexEl) : '';
+        const path = katexEl ? elementPath(el, katexEl) : '';
+        seed = hashString(`${globalSeed}|${tex}|${kind}|${path}`);
+        elementSeeds.set(el, seed);
+    }
+    drawingFor = { el, kind };
+    random = mulberry32(seed);
+}
+
+// Rough.js treats seed 0 as "use Math.random", so never return it
+function nextSeed() {
+    return Math.floor(random() * 10000) + 1;
+}
+
 // ════════════════════════════════════════════════════════════════════════════════
 // UTILITY FUNCTIONS
 // ════════════════════════════════════════════════════════════════════════════════
 
 function getSettings(category = null) {
-    const g = MASTER_SETTINGS.global;
-    const v = MASTER_SETTINGS.variance;
-    const rand = (base, variance) => base + (Math.random() - 0.5) * 2 * variance;
+    const g = activeSettings.global;
+    const v = activeSettings.variance;
+    const rand = (base, variance) => base + (random() - 0.5) * 2 * variance;
     const clamp = (val, min, max) => Math.max(min, Math.min(max, val));
     
     // Get category-specific settings if provided
-    const cat = category ? MASTER_SETTINGS[category] : {};
+    const cat = category ? activeSettings[category] : {};
     
     return { 
         size: cat.strokeSize || clamp(rand(g.strokeSize, v.size), 1.0, 6.0),
@@ -264,21 +467,21 @@ function getSettings(category = null) {
         roughness: cat.roughness || clamp(rand(g.roughness, v.roughness), 0.5, 4.0),
         bowing: cat.bowing || clamp(rand(g.bowing, v.bowing), 0.3, 3.0),
         disableMultiStroke: true,
-        seed: Math.floor(Math.random() * 10000),
+        seed: nextSeed(),
     };
 }
 
 function getRoughOpts(category) {
-    const cat = MASTER_SETTINGS[category] || MASTER_SETTINGS.global;
+    const cat = activeSettings[category] || activeSettings.global;
     return {
-        roughness: cat.roughness || MASTER_SETTINGS.global.roughness,
-        bowing: cat.bowing || MASTER_SETTINGS.global.bowing,
-        seed: Math.random() * 10000,
+        roughness: cat.roughness || activeSettings.global.roughness,
+        bowing: cat.bowing || activeSettings.global.bowing,
+        seed: nextSeed(),
     };
 }
 
 function interpolateLine(p0, p1) {
-    const L = MASTER_SETTINGS.line;
+    const L = activeSettings.line;
     const points = [];
     const distance = Math.hypot(p1[0] - p0[0], p1[1] - p0[1]);
     const steps = Math.max(L.minSteps, Math.ceil(distance / L.stepDivisor));
@@ -295,11 +498,11 @@ function interpolateLine(p0, p1) {
         let y = p0[1] + dy * t;
         
         const waveAmount = Math.sin(t * Math.PI * L.waveFrequency) * distance * L.waveAmount;
-        const randomWobble = (Math.random() - 0.5) * distance * L.wobbleAmount;
+        const randomWobble = (random() - 0.5) * distance * L.wobbleAmount;
         x += perpX * (waveAmount + randomWobble);
         y += perpY * (waveAmount + randomWobble);
         
-        const pressure = 0.25 + Math.sin(t * Math.PI) * 0.45 + Math.random() * 0.15;
+        const pressure = 0.25 + Math.sin(t * Math.PI) * 0.45 + random() * 0.15;
         points.push([x, y, pressure]); 
     }
     return points;
@@ -320,74 +523,141 @@ function interpolateBezier(p0, p1, p2, p3) {
     return points;
 }
 
+function opsToPoints(ops) {
+    let points = [];
+    let currentPos = [0, 0];
+    
+    ops.forEach(op => {
+        if (op.op === 'move') {
+            currentPos = [op.data[0], op.data[1]];
+            points.push([...currentPos, 0.5]);
+        } else if (op.op === 'lineTo') {
+            const nextPos = [op.data[0], op.data[1]];
+            points = points.concat(interpolateLine(currentPos, nextPos));
+            currentPos = nextPos;
+        } else if (op.op === 'bcurveTo') {
+            const cp1 = [op.data[0], op.data[1]];
+            const cp2 = [op.data[2], op.data[3]];
+            const endPos = [op.data[4], op.data[5]];
+            points = points.concat(interpolateBezier(currentPos, cp1, cp2, endPos));
+            currentPos = endPos;
+        }
+    });
+    
+    return points;
+}
+
+// Hachure and zigzag fills are many short lines, each starting with a move
+function splitAtMoves(ops) {
+    return ops.reduce((runs, op) => {
+        if (op.op === 'move' || runs.length === 0) runs.push([]);
+        runs[runs.length - 1].push(op);
+        return runs;
+    }, []);
+}
+
+/**
+ * Ink a rough.js drawable. Outlines ('path' sets) become one pen stroke each,
+ * fill lines ('fillSketch') one stroke per hachure line in the fill color at
+ * settings.fillWeight, and solid fills ('fillPath') are filled as they are.
+ * settings.fillOpacity makes fills see-through.
+ */
 function drawRoughShape(svg, drawable, color, settings) {
     if (!drawable || !drawable.sets) return;
     
+    const fill = (drawable.options && drawable.options.fill) || color;
+    const fillSettings = {
+        ...settings,
+        size: settings.fillWeight || (settings.size || activeSettings.global.strokeSize) / 2,
+        opacity: settings.fillOpacity,
+    };
+    
     drawable.sets.forEach(set => {
-        let points = [];
-        let currentPos = [0, 0];
-        
-        set.ops.forEach(op => {
-            if (op.op === 'move') {
-                currentPos = [op.data[0], op.data[1]];
-                points.push([...currentPos, 0.5]);
-            } else if (op.op === 'lineTo') {
-                const nextPos = [op.data[0], op.data[1]];
-                points = points.concat(interpolateLine(currentPos, nextPos));
-                currentPos = nextPos;
-            } else if (op.op === 'bcurveTo') {
-                const cp1 = [op.data[0], op.data[1]];
-                const cp2 = [op.data[2], op.data[3]];
-                const endPos = [op.data[4], op.data[5]];
-                points = points.concat(interpolateBezier(currentPos, cp1, cp2, endPos));
-                currentPos = endPos;
-            }
-        });
-        
-        if (points.length > 1) {
-            const g = MASTER_SETTINGS.global;
-            const stroke = getStroke(points, {
-                size: settings.size || g.strokeSize,
-                thinning: settings.thinning || g.thinning,
-                smoothing: settings.smoothing || g.smoothing,
-                streamline: settings.streamline || g.streamline,
-                simulatePressure: true,
-                last: true,
-            });
-            
-            if (stroke.length > 0) {
-                const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-                const d = 'M' + stroke.map(p => `${p[0].toFixed(2)},${p[1].toFixed(2)}`).join('L') + 'Z';
-                path.setAttribute('d', d);
-                path.setAttribute('fill', color);
-                path.classList.add('hwk-path');
-                svg.appendChild(path);
-            }
+        if (set.type === 'fillPath') {
+            const d = set.ops.map(op => (op.op === 'move' ? 'M' : op.op === 'lineTo' ? 'L' : 'C') + op.data.map(n => n.toFixed(2)).join(',')).join('') + 'Z';
+            appendInkPath(svg, d, fill, settings.fillOpacity);
+        } else if (set.type === 'fillSketch') {
+            splitAtMoves(set.ops).forEach(ops => drawPoints(svg, opsToPoints(ops), fill, fillSettings));
+        } else {
+            drawPoints(svg, opsToPoints(set.ops), color, settings);
         }
     });
 }
 
+function appendInkPath(svg, d, color, opacity) {
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', d);
+    path.setAttribute('fill', color);
+    if (opacity !== undefined && opacity < 1) path.setAttribute('fill-opacity', opacity);
+    path.classList.add('hwk-path');
+    svg.appendChild(path);
+    return path;
+}
+
+// The pen points, getStroke options and owning element behind each inked path
+const strokeRecords = new WeakMap();
+
 function drawPoints(svg, points, color, settings) {
     if (points.length < 2) return;
     
-    const g = MASTER_SETTINGS.global;
-    const stroke = getStroke(points, {
+    const g = activeSettings.global;
+    const options = {
         size: settings.size || g.strokeSize,
         thinning: settings.thinning || g.thinning,
         smoothing: settings.smoothing || g.smoothing,
         streamline: settings.streamline || g.streamline,
-        simulatePressure: true,
+        simulatePressure: settings.simulatePressure ?? true,
         last: true,
-    });
+    };
+    const d = outlineToPath(getStroke(points, options));
+    
+    if (d) {
+        const path = appendInkPath(svg, d, color, settings.opacity);
+        strokeRecords.set(path, { points, options, d, owner: drawingFor });
+    }
+}
+
+function outlineToPath(stroke) {
+    if (stroke.length === 0) return '';
+    return 'M' + stroke.map(p => `${p[0].toFixed(2)},${p[1].toFixed(2)}`).join('L') + 'Z';
+}
+
+/**
+ * One pen-down stroke through `corners`. Each inner corner is cut back by
+ * `rounding` of its shorter side and bridged with a curve; pressure runs
+ * linearly between the per-corner `pressures`. Feed the result to
+ * drawPoints() with simulatePressure: false to keep that pressure.
+ */
+function penStroke(corners, pressures, rounding) {
+    const last = corners.length - 1;
+    const dist = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+    const toward = (from, to, d) => {
+        const len = dist(from, to) || 1;
+        return [from[0] + (to[0] - from[0]) * d / len, from[1] + (to[1] - from[1]) * d / len];
+    };
+    const cut = corners.map((c, i) => (i === 0 || i === last ? 0
+        : Math.min(dist(corners[i - 1], c), dist(c, corners[i + 1])) * rounding));
     
-    if (stroke.length > 0) {
-        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        const d = 'M' + stroke.map(p => `${p[0].toFixed(2)},${p[1].toFixed(2)}`).join('L') + 'Z';
-        path.setAttribute('d', d);
-        path.setAttribute('fill', color);
-        path.classList.add('hwk-path');
-        svg.appendChild(path);
+    let points = [];
+    const add = (segment, p0, p1) => {
+        segment.forEach((pt, k) => { pt[2] = p0 + (p1 - p0) * k / (segment.length - 1); });
+        points = points.concat(points.length ? segment.slice(1) : segment);
+    };
+    
+    for (let i = 0; i < last; i++) {
+        const a = corners[i], b = corners[i + 1];
+        const end = toward(b, a, cut[i + 1]);
+        add(interpolateLine(toward(a, b, cut[i]), end), pressures[i], pressures[i + 1]);
+        
+        if (i + 1 < last && cut[i + 1] > 0) {
+            // Quadratic through the corner, written as a cubic
+            const exit = toward(b, corners[i + 2], cut[i + 1]);
+            const c1 = [end[0] + (b[0] - end[0]) * 2 / 3, end[1] + (b[1] - end[1]) * 2 / 3];
+            const c2 = [exit[0] + (b[0] - exit[0]) * 2 / 3, exit[1] + (b[1] - exit[1]) * 2 / 3];
+            add(interpolateBezier(end, c1, c2, exit), pressures[i + 1], pressures[i + 1]);
+        }
     }
+    return points;
 }
 
 function createOverlaySVG(width, height) {
@@ -396,135 +666,400 @@ function createOverlaySVG(width, height) {
     svg.setAttribute('height', height);
     svg.style.cssText = 'position:absolute;left:0;top:0;pointer-events:none;overflow:visible;z-index:10;';
     svg.classList.add('hwk-overlay');
+    svg.setAttribute('aria-hidden', 'true');
     return svg;
 }
 
+// Equation → settings it was drawn with (a handwriter's, or MASTER_SETTINGS).
+// Runs with other settings leave it alone until it is cleared.
+const katexOwners = new WeakMap();
+
+// Equation → the seed its strokes were drawn with, for exportStrokes()
+const katexSeeds = new WeakMap();
+
+function katexIn(root) {
+    const own = root.closest ? root.closest('.katex') : null;
+    return own ? [own] : Array.from(root.querySelectorAll('.katex'));
+}
+
+/**
+ * Like root.querySelectorAll(selector), but only matches elements inside a
+ * rendered .katex so unrelated markup on the page is never touched. Equations
+ * drawn with other settings than `owner` are skipped (null: every equation).
+ */
+function queryKatex(root, selector, owner = activeSettings) {
+    const scoped = selector.split(',').map(sel => `.katex ${sel.trim()}`).join(', ');
+    const found = Array.from(root.querySelectorAll(scoped));
+    if (owner === null) return found;
+    return found.filter(el => {
+        const drawnWith = katexOwners.get(el.closest('.katex'));
+        return drawnWith === undefined || drawnWith === owner;
+    });
+}
+
 function clearSVG(svg) {
     while (svg.firstChild) svg.removeChild(svg.firstChild);
 }
 
-function getColor(element) {
-    let el = element;
-    while (el) {
-        const color = getComputedStyle(el).color;
-        if (color && color !== 'rgba(0, 0, 0, 0)' && color !== 'transparent') {
-            return color;
+// ════════════════════════════════════════════════════════════════════════════════
+// ORIGINAL STATE (lossless revert)
+// Processors never write to KaTeX's DOM directly: they go through setStyles(),
+// setAttr() and takeOverSVG(), which record the untouched values first so
+// clearHandwritingGeometry() can put back exactly what KaTeX rendered.
+// ════════════════════════════════════════════════════════════════════════════════
+
+const originals = new WeakMap();
+
+function snapshot(el) {
+    let snap = originals.get(el);
+    if (!snap) {
+        snap = { attrs: {}, children: null };
+        originals.set(el, snap);
+        el.setAttribute('data-hwk-orig', '');
+    }
+    return snap;
+}
+
+function saveAttr(el, name) {
+    const snap = snapshot(el);
+    if (!(name in snap.attrs)) snap.attrs[name] = el.getAttribute(name);
+}
+
+// The whole style attribute is saved, so shorthands like `border` that
+// clobber KaTeX's own longhands (border-width, border-color) revert cleanly
+function setStyles(el, styles) {
+    saveAttr(el, 'style');
+    Object.entries(styles).forEach(([prop, value]) => { el.style[prop] = value; });
+}
+
+function setAttr(el, name, value) {
+    saveAttr(el, name);
+    el.setAttribute(name, value);
+}
+
+// Empty a KaTeX <svg> so we can draw into it, keeping the original glyph nodes
+function takeOverSVG(svg) {
+    const snap = snapshot(svg);
+    if (!snap.children) snap.children = Array.from(svg.childNodes);
+    clearSVG(svg);
+}
+
+function restoreOriginal(el) {
+    const snap = originals.get(el);
+    if (snap) {
+        if (snap.children) {
+            clearSVG(el);
+            snap.children.forEach(child => el.appendChild(child));
         }
-        el = el.parentElement;
+        Object.entries(snap.attrs).forEach(([name, value]) => {
+            if (value === null) el.removeAttribute(name);
+            else el.setAttribute(name, value);
+        });
+        originals.delete(el);
+    }
+    el.removeAttribute('data-hwk-orig');
+}
+
+/**
+ * Ink for strokes drawn over `element`. Colors KaTeX set explicitly (\color,
+ * \textcolor) are kept as written; everything else is global.color or else
+ * 'currentColor', so the ink follows theme changes without a redraw.
+ */
+function getColor(element) {
+    for (let el = element; el && el.nodeType === 1; el = el.parentElement) {
+        const color = el.style.color;
+        if (color && color !== 'transparent' && color !== 'rgba(0, 0, 0, 0)') return color;
+        if (el.classList.contains('katex')) break;
     }
-    return '#000';
+    return activeSettings.global.color || 'currentColor';
+}
+
+// An explicit border color (\fcolorbox, \arrayrulecolor) or the ink color
+function getBorderColor(el, property) {
+    return el.style[property] || getColor(el);
 }
 
 // ════════════════════════════════════════════════════════════════════════════════
 // PROCESSOR 1: DELIMITERS
 // ════════════════════════════════════════════════════════════════════════════════
 
+/**
+ * One continuous curly brace stroke: curled ends, bowed arms and a pointed
+ * cusp. It is laid out along an axis `length` long and `depth` deep (ends at
+ * depth 0, cusp at `depth`); toXY(along, across) places it in the SVG, so the
+ * same shape serves { } and \overbrace / \underbrace.
+ */
+function drawCurlyBrace(svg, length, depth, toXY, color, settings) {
+    const B = activeSettings.brace;
+    const half = length / 2;
+    const tip = Math.min(length * B.tipPercent, B.maxTip, length / 4);
+    const jitter = () => (random() - 0.5) * B.roughness * depth * 0.04;
+    const arm = depth / 2 + jitter();
+    const cusp = depth + jitter();
+    
+    // Quadratic pieces of the first half; the cusp control sits right under
+    // the cusp, so both halves meet it vertically and it stays pointed
+    const firstHalf = [
+        [[0, 0], [0, arm], [tip, arm]],
+        [[tip, arm], [half / 2, arm + B.bowing * depth * 0.05 * (random() - 0.5)], [half - tip, arm]],
+        [[half - tip, arm], [half, arm], [half, cusp]],
+    ];
+    const mirror = ([u, v]) => [length - u, v];
+    const secondHalf = firstHalf.slice().reverse().map(([p0, q, p1]) => [mirror(p1), mirror(q), mirror(p0)]);
+    
+    let points = [];
+    firstHalf.concat(secondHalf).forEach(([p0, q, p1]) => {
+        // Quadratic to cubic control points for interpolateBezier()
+        const c1 = [p0[0] + (q[0] - p0[0]) * 2 / 3, p0[1] + (q[1] - p0[1]) * 2 / 3];
+        const c2 = [p1[0] + (q[0] - p1[0]) * 2 / 3, p1[1] + (q[1] - p1[1]) * 2 / 3];
+        const segment = interpolateBezier(p0, c1, c2, p1);
+        points = points.concat(points.length ? segment.slice(1) : segment);
+    });
+    
+    drawPoints(svg, points.map(([u, v, pressure]) => [...toXY(u, v), pressure]), color, settings);
+}
+
 function drawVerticalCurlyBrace(svg, width, height, isOpen, color) {
-    const B = MASTER_SETTINGS.brace;
-    const roughOpts = { roughness: B.roughness, bowing: B.bowing, seed: Math.random() * 10000 };
+    const B = activeSettings.brace;
     const settings = { size: Math.max(1.8, width / B.sizeMultiplier) };
     
-    const midY = height / 2;
-    const tipW = Math.min(height * B.tipPercent, B.maxTip);
-    
-    if (isOpen) {
-        const rightX = width - 3, leftX = 2;
-        roughOpts.seed = Math.random() * 10000;
-        drawRoughShape(svg, generator.line(rightX, 0, rightX, midY - tipW, roughOpts), color, settings);
-        roughOpts.seed = Math.random() * 10000;
-        drawRoughShape(svg, generator.line(rightX, midY - tipW, leftX, midY, roughOpts), color, settings);
-        roughOpts.seed = Math.random() * 10000;
-        drawRoughShape(svg, generator.line(leftX, midY, rightX, midY + tipW, roughOpts), color, settings);
-        roughOpts.seed = Math.random() * 10000;
-        drawRoughShape(svg, generator.line(rightX, midY + tipW, rightX, height, roughOpts), color, settings);
-    } else {
-        const rightX = width - 2, leftX = 3;
-        roughOpts.seed = Math.random() * 10000;
-        drawRoughShape(svg, generator.line(leftX, 0, leftX, midY - tipW, roughOpts), color, settings);
-        roughOpts.seed = Math.random() * 10000;
-        drawRoughShape(svg, generator.line(leftX, midY - tipW, rightX, midY, roughOpts), color, settings);
-        roughOpts.seed = Math.random() * 10000;
-        drawRoughShape(svg, generator.line(rightX, midY, leftX, midY + tipW, roughOpts), color, settings);
-        roughOpts.seed = Math.random() * 10000;
-        drawRoughShape(svg, generator.line(leftX, midY + tipW, leftX, height, roughOpts), color, settings);
+    // { has its ends on the right and the cusp on the left; } is the mirror
+    const toXY = isOpen ? (u, v) => [width - 3 - v, u] : (u, v) => [3 + v, u];
+    drawCurlyBrace(svg, height, width - 5, toXY, color, settings);
+}
+
+// ── Classification ───────────────────────────────────────────────────────────
+// Shapes: lparen rparen lbrack rbrack lfloor rfloor lceil rceil lbrace rbrace
+//         langle rangle vert doublevert slash backslash
+
+const DELIMITER_GLYPHS = {
+    '(': 'lparen', ')': 'rparen', '[': 'lbrack', ']': 'rbrack',
+    '⌊': 'lfloor', '⌋': 'rfloor', '⌈': 'lceil', '⌉': 'rceil',
+    '{': 'lbrace', '}': 'rbrace', '⟨': 'langle', '⟩': 'rangle',
+    '|': 'vert', '∣': 'vert', '‖': 'doublevert', '∥': 'doublevert',
+    '/': 'slash', '\\': 'backslash',
+};
+
+/**
+ * Tall delimiters are a single KaTeX <svg> whose viewBox width tells the family
+ * (875 parens, 667 brackets/floor/ceil, 556 ‖, 333 |). Path data is read as
+ * geometry rather than matched as text, so roughened paths still classify.
+ */
+function classifyDelimiterSVG(svg) {
+    const [, , vbWidth, vbHeight] = (svg.getAttribute('viewBox') || '').split(' ').map(Number);
+    if (!vbWidth || !vbHeight) return null;
+    
+    const d = Array.from(svg.querySelectorAll('path')).map(p => p.getAttribute('d') || '').join(' ');
+    const points = parsePathPoints(d);
+    if (points.length === 0) return null;
+    
+    const near = target => Math.abs(vbWidth - target) < 20;
+    
+    if (near(333)) return 'vert';
+    if (near(556)) return 'doublevert';
+    
+    if (near(875)) {
+        // ( starts at its top-right tip, ) at its top-left tip
+        const topmost = points.reduce((a, b) => (b[1] < a[1] ? b : a));
+        return topmost[0] > vbWidth / 2 ? 'lparen' : 'rparen';
+    }
+    
+    if (near(667)) {
+        // Left shapes have their serifs reaching the right edge and vice versa
+        const isLeft = points.some(([x]) => x > vbWidth * 0.8);
+        const isSerif = ([x]) => (isLeft ? x > vbWidth * 0.7 : x < vbWidth * 0.3);
+        const hasTop = points.some(p => p[1] < 200 && isSerif(p));
+        const hasBottom = points.some(p => p[1] > vbHeight - 200 && isSerif(p));
+        const family = hasTop && hasBottom ? 'brack' : hasTop ? 'ceil' : 'floor';
+        return (isLeft ? 'l' : 'r') + family;
+    }
+    
+    return null;
+}
+
+// \{ \} \lgroup \rgroup are stacked from glyph pieces; arrows and moustaches
+// are left typeset
+function classifyStackedDelimiter(pieces) {
+    const text = Array.from(pieces).map(el => el.textContent).join('');
+    if (text.includes('⎨')) return 'lbrace';
+    if (text.includes('⎬')) return 'rbrace';
+    if (text.includes('⎧') && text.includes('⎩')) return 'lparen';
+    if (text.includes('⎫') && text.includes('⎭')) return 'rparen';
+    return null;
+}
+
+// ── Shapes ───────────────────────────────────────────────────────────────────
+// Built in KaTeX's delimiter units (1/1000 em), left-facing, then mirrored
+
+function polylinePoints(corners) {
+    let points = [];
+    for (let i = 0; i < corners.length - 1; i++) {
+        const segment = interpolateLine(corners[i], corners[i + 1]);
+        points = points.concat(i === 0 ? segment : segment.slice(1));
+    }
+    return points;
+}
+
+function delimiterStrokes(type, w, h) {
+    const D = activeSettings.delimiter;
+    const jitter = () => (random() - 0.5) * D.wobble;
+    const top = h * 0.015, bottom = h - h * 0.015;
+    const stemX = w * 0.5, serifX = w - 40, tipX = 40;
+    const shape = type.replace(/^[lr](?=paren|brack|floor|ceil|brace|angle)/, '');
+    const mirrored = /^r(?=paren|brack|floor|ceil|brace|angle)/.test(type);
+    
+    let strokes;
+    switch (shape) {
+        case 'paren': {
+            const points = [];
+            const numPoints = 45;
+            const bowAmount = w * D.bowPercent;
+            for (let i = 0; i <= numPoints; i++) {
+                const t = i / numPoints;
+                const arcAmount = Math.sin(t * Math.PI);
+                const x = w - 40 - arcAmount * bowAmount + jitter();
+                points.push([x, top + t * (bottom - top), 0.25 + arcAmount * 0.45]);
+            }
+            strokes = [points];
+            break;
+        }
+        case 'brack':
+            strokes = [[[serifX, top], [stemX, top], [stemX, bottom], [serifX, bottom]]];
+            break;
+        case 'ceil':
+            strokes = [[[serifX, top], [stemX, top], [stemX, bottom]]];
+            break;
+        case 'floor':
+            strokes = [[[stemX, top], [stemX, bottom], [serifX, bottom]]];
+            break;
+        case 'angle':
+            strokes = [[[serifX, top], [tipX, h / 2], [serifX, bottom]]];
+            break;
+        case 'vert':
+            strokes = [[[w / 2, top], [w / 2, bottom]]];
+            break;
+        case 'doublevert':
+            strokes = [[[w * 0.3, top], [w * 0.3, bottom]], [[w * 0.7, top], [w * 0.7, bottom]]];
+            break;
+        case 'slash':
+            strokes = [[[serifX, top], [tipX, bottom]]];
+            break;
+        case 'backslash':
+            strokes = [[[tipX, top], [serifX, bottom]]];
+            break;
+        default:
+            return [];
     }
+    
+    // Corner lists become one pen-down stroke each; the paren is already points
+    strokes = strokes.map(stroke => (shape === 'paren'
+        ? stroke
+        : polylinePoints(stroke.map(([x, y]) => [x + jitter(), y]))));
+    
+    return mirrored ? strokes.map(points => points.map(([x, y, p]) => [w - x, y, p])) : strokes;
+}
+
+function drawDelimiterShape(svg, type, w, h, color) {
+    const D = activeSettings.delimiter;
+    const settings = getSettings('delimiter');
+    settings.size = Math.max(D.minSize, Math.min(55, h / D.sizeMultiplier));
+    delimiterStrokes(type, w, h).forEach(points => drawPoints(svg, points, color, settings));
 }
 
-function processDelimiters() {
+// Overlay whose viewBox is in delimiter units, matching KaTeX's own <svg>s
+function createDelimiterOverlay(delimEl, width, height) {
+    const fontSize = parseFloat(getComputedStyle(delimEl).fontSize) || 16;
+    const k = 1000 / fontSize;
+    const overlay = createOverlaySVG(width, height);
+    overlay.setAttribute('viewBox', `0 0 ${width * k} ${height * k}`);
+    return { overlay, vbWidth: width * k, vbHeight: height * k };
+}
+
+// ── Processor ────────────────────────────────────────────────────────────────
+
+function processDelimiters(root) {
     let count = 0;
-    const D = MASTER_SETTINGS.delimiter;
+    const D = activeSettings.delimiter;
     
-    document.querySelectorAll('.delimsizing').forEach(delimEl => {
+    queryKatex(root, '.delimsizing').forEach(delimEl => {
         if (delimEl.dataset.hwk) return;
         
         const rect = delimEl.getBoundingClientRect();
         const color = getColor(delimEl);
-        const isOpen = delimEl.closest('.mopen') !== null;
         const width = rect.width;
         const height = rect.height;
         
-        const hasMultClass = delimEl.classList.contains('mult');
         const delimInner = delimEl.querySelectorAll('.delimsizinginner');
         const svgs = delimEl.querySelectorAll('svg');
         
-        // TYPE 1: Stacked curly brace
-        if (hasMultClass && delimInner.length > 0) {
+        // TYPE 1: Stacked from glyph pieces ({ } \lgroup \rgroup)
+        if (delimInner.length > 0) {
+            const type = classifyStackedDelimiter(delimInner);
+            if (!type) return;
+            
             delimEl.dataset.hwk = 'stacked-brace';
-            delimInner.forEach(el => el.style.visibility = 'hidden');
-            svgs.forEach(svg => svg.style.visibility = 'hidden');
-            delimEl.style.position = 'relative';
-            const overlay = createOverlaySVG(width, height);
-            drawVerticalCurlyBrace(overlay, width, height, isOpen, color);
-            delimEl.appendChild(overlay);
+            seedRandom(delimEl, 'stacked-brace');
+            delimInner.forEach(el => setStyles(el, { visibility: 'hidden' }));
+            svgs.forEach(svg => setStyles(svg, { visibility: 'hidden' }));
+            setStyles(delimEl, { position: 'relative' });
+            
+            if (type.endsWith('brace')) {
+                const overlay = createOverlaySVG(width, height);
+                drawVerticalCurlyBrace(overlay, width, height, type === 'lbrace', color);
+                delimEl.appendChild(overlay);
+            } else {
+                const { overlay, vbWidth, vbHeight } = createDelimiterOverlay(delimEl, width, height);
+                drawDelimiterShape(overlay, type, vbWidth, vbHeight, color);
+                delimEl.appendChild(overlay);
+            }
             count++;
             return;
         }
         
-        // TYPE 2: Stacked vertical bar (vmatrix)
-        if (hasMultClass && svgs.length > 0 && delimInner.length === 0) {
-            delimEl.dataset.hwk = 'stacked-vbar';
-            svgs.forEach(svg => svg.style.visibility = 'hidden');
-            delimEl.style.position = 'relative';
-            const overlay = createOverlaySVG(width, height);
-            const roughOpts = getRoughOpts('delimiter');
-            const settings = { size: Math.max(1.8, width / 4) };
-            drawRoughShape(overlay, generator.line(width / 2, 2, width / 2, height - 2, roughOpts), color, settings);
-            delimEl.appendChild(overlay);
+        // TYPE 2: Tall delimiter drawn by KaTeX as one <svg>
+        const svg = svgs[0];
+        if (svg) {
+            if (svg.dataset.hwk) return;
+            
+            const viewBox = svg.getAttribute('viewBox');
+            if (!viewBox) return;
+            
+            const isOpen = delimEl.closest('.mopen') !== null;
+            const type = classifyDelimiterSVG(svg) || (isOpen ? 'lparen' : 'rparen');
+            
+            svg.dataset.hwk = 'delimiter';
+            delimEl.dataset.hwk = 'svg-delim';
+            seedRandom(delimEl, 'svg-delim');
+            
+            const [, , vbWidth, vbHeight] = viewBox.split(' ').map(Number);
+            takeOverSVG(svg);
+            drawDelimiterShape(svg, type, vbWidth, vbHeight, color);
             count++;
             return;
         }
         
-        // TYPE 3: SVG-based delimiter
-        const svg = delimEl.querySelector('svg');
-        if (!svg || svg.dataset.hwk) return;
-        
-        const viewBox = svg.getAttribute('viewBox');
-        if (!viewBox) return;
+        // TYPE 3: Font-sized delimiter (.size1 - .size4). ⟨ ⟩ / \ are always
+        // glyphs, however tall, and so are the brackets of short matrices.
+        if (!D.redrawSized) return;
         
-        svg.dataset.hwk = 'delimiter';
-        delimEl.dataset.hwk = 'svg-delim';
-        
-        const [, , vbWidth, vbHeight] = viewBox.split(' ').map(Number);
-        const settings = getSettings('delimiter');
-        settings.size = Math.max(D.minSize, Math.min(55, vbHeight / D.sizeMultiplier));
+        const glyph = delimEl.textContent.replace(/[\u200b\s]/g, '');
+        const type = DELIMITER_GLYPHS[glyph];
+        if (!type || width < 2 || height < 2) return;
         
-        clearSVG(svg);
+        delimEl.dataset.hwk = 'sized-delim';
+        seedRandom(delimEl, 'sized-delim');
+        // Hide the glyph but keep `color`, which the overlay's currentColor inherits
+        setStyles(delimEl, { position: 'relative', webkitTextFillColor: 'transparent' });
         
-        const points = [];
-        const numPoints = 45;
-        const paddingY = vbHeight * 0.015;
-        const bowAmount = vbWidth * D.bowPercent;
-        
-        for (let i = 0; i <= numPoints; i++) {
-            const t = i / numPoints;
-            const y = paddingY + t * (vbHeight - paddingY * 2);
-            const arcAmount = Math.sin(t * Math.PI);
-            let x = isOpen ? (vbWidth - 40 - arcAmount * bowAmount) : (40 + arcAmount * bowAmount);
-            x += (Math.random() - 0.5) * D.wobble;
-            points.push([x, y, 0.25 + arcAmount * 0.45]);
+        if (type.endsWith('brace')) {
+            const overlay = createOverlaySVG(width, height);
+            drawVerticalCurlyBrace(overlay, width, height, type === 'lbrace', color);
+            delimEl.appendChild(overlay);
+        } else {
+            const { overlay, vbWidth, vbHeight } = createDelimiterOverlay(delimEl, width, height);
+            drawDelimiterShape(overlay, type, vbWidth, vbHeight, color);
+            delimEl.appendChild(overlay);
         }
-        
-        drawPoints(svg, points, color, settings);
         count++;
     });
     
@@ -535,22 +1070,23 @@ function processDelimiters() {
 // PROCESSOR 2: HORIZONTAL LINES
 // ════════════════════════════════════════════════════════════════════════════════
 
-function processHorizontalLines() {
+function processHorizontalLines(root) {
     let count = 0;
-    const H = MASTER_SETTINGS.hline;
+    const H = activeSettings.hline;
     
-    document.querySelectorAll('.frac-line, .overline-line, .underline-line').forEach(el => {
+    queryKatex(root, '.frac-line, .overline-line, .underline-line').forEach(el => {
         if (el.dataset.hwk) return;
         
         const rect = el.getBoundingClientRect();
         if (rect.width < 2) return;
         
         el.dataset.hwk = 'hline';
+        seedRandom(el, 'hline');
         
         const color = getColor(el);
         const svgHeight = 20;
         const settings = { size: H.strokeSize, roughness: H.roughness, bowing: H.bowing };
-        const roughOpts = { roughness: H.roughness, bowing: H.bowing, seed: Math.random() * 10000 };
+        const roughOpts = { roughness: H.roughness, bowing: H.bowing, seed: nextSeed() };
         
         const svg = createOverlaySVG(rect.width, svgHeight);
         svg.style.top = '50%';
@@ -558,8 +1094,7 @@ function processHorizontalLines() {
         
         drawRoughShape(svg, generator.line(0, svgHeight / 2, rect.width, svgHeight / 2, roughOpts), color, settings);
         
-        el.style.position = 'relative';
-        el.style.borderBottomColor = 'transparent';
+        setStyles(el, { position: 'relative', borderBottomColor: 'transparent' });
         el.appendChild(svg);
         count++;
     });
@@ -571,45 +1106,82 @@ function processHorizontalLines() {
 // PROCESSOR 3: SQUARE ROOTS
 // ════════════════════════════════════════════════════════════════════════════════
 
-function processSquareRoots() {
+function processSquareRoots(root) {
     let count = 0;
-    const S = MASTER_SETTINGS.sqrt;
+    const S = activeSettings.sqrt;
     
-    document.querySelectorAll('.sqrt .hide-tail svg').forEach(svg => {
+    queryKatex(root, '.sqrt .hide-tail svg').forEach(svg => {
         if (svg.dataset.hwk) return;
         
         const viewBox = svg.getAttribute('viewBox');
         if (!viewBox) return;
         
         svg.dataset.hwk = 'sqrt';
+        seedRandom(svg, 'sqrt');
         
         const [, , vbWidth, vbHeight] = viewBox.split(' ').map(Number);
         const color = getColor(svg);
+        const rect = svg.getBoundingClientRect();
+        const found = sqrtCorners(svg);
         
-        clearSVG(svg);
+        takeOverSVG(svg);
         
+        // sqrtTall only stretches its vertical, so weight and wobble stop
+        // growing at the size4 glyph's height
+        const glyphHeight = Math.min(vbHeight, 3240);
         const settings = {
-            size: Math.max(22, vbHeight / S.sizeMultiplier),
+            size: Math.max(22, glyphHeight / S.sizeMultiplier),
             thinning: S.thinning,
             smoothing: S.smoothing,
             streamline: S.streamline,
+            simulatePressure: false,
         };
         
-        const roughOpts = { roughness: S.roughness, bowing: S.bowing, seed: Math.random() * 10000 };
-        const wobble = () => (Math.random() - 0.5) * vbHeight * S.wobblePercent;
+        const wobble = () => (random() - 0.5) * glyphHeight * S.wobblePercent;
+        const jiggle = ([x, y]) => [x + wobble(), y + wobble()];
+        
+        // Old fixed proportions if the path could not be read
         const surdWidth = Math.min(vbHeight * 0.85, 850);
-        const topY = vbHeight * 0.04 + wobble();
-        const bottomY = vbHeight * 0.96 + wobble();
-        const midY = vbHeight * 0.42 + wobble();
-        
-        roughOpts.seed = Math.random() * 10000;
-        drawRoughShape(svg, generator.line(0, midY + vbHeight * 0.06, surdWidth * 0.32 + wobble(), midY, roughOpts), color, settings);
-        roughOpts.seed = Math.random() * 10000;
-        drawRoughShape(svg, generator.line(surdWidth * 0.32, midY, surdWidth * 0.52 + wobble(), bottomY, roughOpts), color, settings);
-        roughOpts.seed = Math.random() * 10000;
-        drawRoughShape(svg, generator.line(surdWidth * 0.52, bottomY, surdWidth + wobble(), topY, roughOpts), color, settings);
-        roughOpts.seed = Math.random() * 10000;
-        drawRoughShape(svg, generator.line(surdWidth - 25, topY, vbWidth, topY + wobble() * 0.5, roughOpts), color, settings);
+        const midY = vbHeight * 0.42;
+        const c = found || {
+            tick: [0, midY + vbHeight * 0.06],
+            hook: [surdWidth * 0.32, midY],
+            valley: [surdWidth * 0.52, vbHeight * 0.96],
+            corner: [surdWidth, vbHeight * 0.04],
+        };
+        
+        // With an index (\sqrt[n]{}) the index sits over the tick, so shorten it
+        const hasIndex = !!svg.closest('.sqrt')?.querySelector(':scope > .root');
+        const tickStart = hasIndex
+            ? [(c.tick[0] + c.hook[0]) / 2, (c.tick[1] + c.hook[1]) / 2]
+            : c.tick;
+        
+        // The path is the glyph outline; the pen runs half a stroke inside it
+        const inset = settings.size / 2;
+        const vinculumY = c.corner[1] + inset;
+        
+        // Run a little past the corner along the upstroke, then turn into the vinculum
+        const hook = jiggle(c.hook);
+        const valley = jiggle([c.valley[0], c.valley[1] - inset]);
+        const corner = jiggle([c.corner[0], vinculumY]);
+        const upLen = Math.hypot(corner[0] - valley[0], corner[1] - valley[1]) || 1;
+        const overshoot = glyphHeight * S.overshootPercent;
+        const past = [
+            corner[0] + (corner[0] - valley[0]) / upLen * overshoot,
+            // KaTeX clips the surd at its box, so the overshoot stays inside
+            Math.max(inset, corner[1] + (corner[1] - valley[1]) / upLen * overshoot),
+        ];
+        
+        // Only draw the vinculum as far as the equation shows it
+        const visibleWidth = rect.height > 0 ? rect.width * vbHeight / rect.height : vbWidth;
+        const end = [Math.min(vbWidth, visibleWidth), vinculumY + wobble() * 0.5];
+        
+        const points = penStroke(
+            [jiggle(tickStart), hook, valley, past, [corner[0] + overshoot, vinculumY], end],
+            [0.3, 0.45, 0.8, 0.4, 0.55, 0.25],
+            S.cornerRounding
+        );
+        drawPoints(svg, points, color, settings);
         
         count++;
     });
@@ -621,47 +1193,46 @@ function processSquareRoots() {
 // PROCESSOR 4: EXTENSIBLE ARROWS
 // ════════════════════════════════════════════════════════════════════════════════
 
-function processExtensibleArrows() {
+function processExtensibleArrows(root) {
     let count = 0;
-    const A = MASTER_SETTINGS.xarrow;
+    const A = activeSettings.xarrow;
     
-    document.querySelectorAll('.x-arrow').forEach(arrowEl => {
-        const svg = arrowEl.querySelector('.hide-tail svg');
-        if (!svg || svg.dataset.hwk) return;
+    queryKatex(root, '.x-arrow .svg-align, .accent .svg-align, .accentunder .svg-align').forEach(alignEl => {
+        const pieces = Array.from(alignEl.querySelectorAll('.hide-tail > svg, .halfarrow-left > svg, .halfarrow-right > svg'));
+        if (pieces.length === 0 || pieces[0].dataset.hwk) return;
         
-        svg.dataset.hwk = 'xarrow';
+        // Anything else built from slices (\overgroup, ...) belongs to another processor
+        const rows = classifyArrow(pieces);
+        if (!rows) return;
         
-        const rect = svg.getBoundingClientRect();
+        pieces.forEach(svg => { svg.dataset.hwk = 'xarrow'; });
+        seedRandom(pieces[0], 'xarrow');
+        
+        const rect = alignEl.getBoundingClientRect();
         const width = rect.width;
         const height = rect.height;
         if (width < 10 || height < 5) return;
         
-        const color = getColor(arrowEl);
-        
-        clearSVG(svg);
-        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
-        
+        const color = getColor(alignEl);
+        const svg = createOverlaySVG(width, height);
         const settings = { size: A.strokeSize };
-        const roughOpts = { roughness: A.roughness, bowing: A.bowing, seed: Math.random() * 10000 };
-        
-        const midY = height / 2;
-        const arrowSize = Math.min(height * A.arrowSizePercent, A.maxArrowSize);
-        const isLeftArrow = svg.getAttribute('preserveAspectRatio')?.includes('xMin');
-        
-        if (isLeftArrow) {
-            drawRoughShape(svg, generator.line(arrowSize + 3, midY, width - 2, midY, roughOpts), color, settings);
-            roughOpts.seed = Math.random() * 10000;
-            drawRoughShape(svg, generator.line(2, midY, arrowSize + 3, midY - arrowSize, roughOpts), color, settings);
-            roughOpts.seed = Math.random() * 10000;
-            drawRoughShape(svg, generator.line(2, midY, arrowSize + 3, midY + arrowSize, roughOpts), color, settings);
-        } else {
-            drawRoughShape(svg, generator.line(2, midY, width - arrowSize - 3, midY, roughOpts), color, settings);
-            roughOpts.seed = Math.random() * 10000;
-            drawRoughShape(svg, generator.line(width - 2, midY, width - arrowSize - 3, midY - arrowSize, roughOpts), color, settings);
-            roughOpts.seed = Math.random() * 10000;
-            drawRoughShape(svg, generator.line(width - 2, midY, width - arrowSize - 3, midY + arrowSize, roughOpts), color, settings);
-        }
+        const rowHeight = height / rows.length;
+        const arrowSize = Math.min(rowHeight * A.arrowSizePercent, A.maxArrowSize);
+        
+        rows.forEach((row, i) => {
+            const y = rowHeight * (i + 0.5);
+            const inset = (row.inset || 0) * height;
+            arrowRowStrokes(row, 2 + inset, width - 2 - inset, y, arrowSize).forEach(points => {
+                // Single pass: a second one would be joined back to the start
+                const roughOpts = { roughness: A.roughness, bowing: A.bowing, seed: nextSeed(), disableMultiStroke: true };
+                const shape = points.length > 3 ? generator.curve(points, roughOpts) : generator.linearPath(points, roughOpts);
+                drawRoughShape(svg, shape, color, settings);
+            });
+        });
         
+        pieces.forEach(piece => setStyles(piece, { opacity: '0' }));
+        setStyles(alignEl, { position: 'relative' });
+        alignEl.appendChild(svg);
         count++;
     });
     
@@ -672,11 +1243,11 @@ function processExtensibleArrows() {
 // PROCESSOR 5: STRETCHY BRACES
 // ════════════════════════════════════════════════════════════════════════════════
 
-function processStretchyBraces() {
+function processStretchyBraces(root) {
     let count = 0;
-    const B = MASTER_SETTINGS.brace;
+    const B = activeSettings.brace;
     
-    document.querySelectorAll('.stretchy').forEach(el => {
+    queryKatex(root, '.stretchy').forEach(el => {
         if (el.closest('.delimsizing') || el.classList.contains('sout') || el.dataset.hwk) return;
         
         const inMover = el.closest('.mover');
@@ -684,43 +1255,23 @@ function processStretchyBraces() {
         if (!inMover && !inMunder) return;
         
         el.dataset.hwk = 'stretchy';
+        seedRandom(el, 'stretchy');
         
         const rect = el.getBoundingClientRect();
         if (rect.width < 10) return;
         
-        el.querySelectorAll('svg').forEach(s => s.style.opacity = '0');
+        el.querySelectorAll('svg').forEach(s => setStyles(s, { opacity: '0' }));
         
         const svg = createOverlaySVG(rect.width, rect.height);
         const color = getColor(el);
-        const roughOpts = { roughness: B.roughness, bowing: B.bowing, seed: Math.random() * 10000 };
         const settings = { size: Math.max(1.8, rect.height / B.sizeMultiplier) };
+        const depth = rect.height - 5;
         
-        const midX = rect.width / 2;
-        const tipW = Math.min(rect.width * B.tipPercent, B.maxTip);
-        
-        if (inMunder) {
-            const topY = 3, botY = rect.height - 2;
-            roughOpts.seed = Math.random() * 10000;
-            drawRoughShape(svg, generator.line(0, topY, midX - tipW, topY, roughOpts), color, settings);
-            roughOpts.seed = Math.random() * 10000;
-            drawRoughShape(svg, generator.line(midX - tipW, topY, midX, botY, roughOpts), color, settings);
-            roughOpts.seed = Math.random() * 10000;
-            drawRoughShape(svg, generator.line(midX, botY, midX + tipW, topY, roughOpts), color, settings);
-            roughOpts.seed = Math.random() * 10000;
-            drawRoughShape(svg, generator.line(midX + tipW, topY, rect.width, topY, roughOpts), color, settings);
-        } else {
-            const topY = 2, botY = rect.height - 3;
-            roughOpts.seed = Math.random() * 10000;
-            drawRoughShape(svg, generator.line(0, botY, midX - tipW, botY, roughOpts), color, settings);
-            roughOpts.seed = Math.random() * 10000;
-            drawRoughShape(svg, generator.line(midX - tipW, botY, midX, topY, roughOpts), color, settings);
-            roughOpts.seed = Math.random() * 10000;
-            drawRoughShape(svg, generator.line(midX, topY, midX + tipW, botY, roughOpts), color, settings);
-            roughOpts.seed = Math.random() * 10000;
-            drawRoughShape(svg, generator.line(midX + tipW, botY, rect.width, botY, roughOpts), color, settings);
-        }
+        // \underbrace hangs its cusp down; \overbrace points it up
+        const toXY = inMunder ? (u, v) => [u, 3 + v] : (u, v) => [u, rect.height - 2 - v];
+        drawCurlyBrace(svg, rect.width, depth, toXY, color, settings);
         
-        el.style.position = 'relative';
+        setStyles(el, { position: 'relative' });
         el.appendChild(svg);
         count++;
     });
@@ -732,11 +1283,40 @@ function processStretchyBraces() {
 // PROCESSOR 6: WIDE ACCENTS
 // ════════════════════════════════════════════════════════════════════════════════
 
-function processWideAccents() {
+/**
+ * Tell KaTeX's wide accents apart: hat, check, tilde (also \utilde),
+ * overgroup or undergroup. Hats and checks share one viewBox, so the path
+ * decides: a hat's ends sit below its middle, a check's above, and a tilde
+ * starts low on the left and ends high on the right.
+ */
+function classifyWideAccent(svg) {
+    // \overgroup and \undergroup are a pair of half-width slices
+    if (svg.closest('.halfarrow-left, .halfarrow-right')) {
+        return svg.closest('.accentunder') ? 'undergroup' : 'overgroup';
+    }
+    
+    const [, , vbWidth, vbHeight] = svg.getAttribute('viewBox').split(' ').map(Number);
+    const d = Array.from(svg.querySelectorAll('path')).map(p => p.getAttribute('d') || '').join(' ');
+    const points = parsePathPoints(d);
+    
+    const levelAt = (from, to) => {
+        const ys = points.filter(([x]) => x >= vbWidth * from && x <= vbWidth * to).map(([, y]) => y);
+        return ys.length ? (Math.min(...ys) + Math.max(...ys)) / 2 : null;
+    };
+    const left = levelAt(0, 0.08);
+    const right = levelAt(0.92, 1);
+    const middle = levelAt(0.42, 0.58);
+    
+    if (left === null || right === null) return 'hat';
+    if (left - right > vbHeight * 0.15) return 'tilde';
+    return middle !== null && middle > left ? 'check' : 'hat';
+}
+
+function processWideAccents(root) {
     let count = 0;
-    const W = MASTER_SETTINGS.wideAccent;
+    const W = activeSettings.wideAccent;
     
-    document.querySelectorAll('.accent').forEach(accentEl => {
+    queryKatex(root, '.accent, .accentunder').forEach(accentEl => {
         const svg = accentEl.querySelector('svg');
         if (!svg || svg.dataset.hwk) return;
         if (svg.querySelector('line')) return; // Skip cancel
@@ -749,28 +1329,63 @@ function processWideAccents() {
         if (viewBox.includes('471 714')) return;
         
         svg.dataset.hwk = 'wide-accent';
+        seedRandom(svg, 'wide-accent');
         
-        const rect = svg.getBoundingClientRect();
+        const type = classifyWideAccent(svg);
+        const isGroup = type === 'overgroup' || type === 'undergroup';
+        
+        // Group slices clip at half width, so those draw over their container
+        const target = isGroup ? svg.closest('.svg-align') || svg.parentElement : svg;
+        const rect = target.getBoundingClientRect();
         const width = rect.width;
         const height = rect.height;
         if (width < 5 || height < 3) return;
         
         const color = getColor(accentEl);
+        let canvas = svg;
         
-        clearSVG(svg);
-        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        if (isGroup) {
+            target.querySelectorAll('svg').forEach(piece => setStyles(piece, { opacity: '0' }));
+            canvas = createOverlaySVG(width, height);
+            setStyles(target, { position: 'relative' });
+            target.appendChild(canvas);
+        } else {
+            takeOverSVG(svg);
+            setAttr(svg, 'viewBox', `0 0 ${width} ${height}`);
+        }
         
         const settings = { size: W.strokeSize };
-        const roughOpts = { roughness: W.roughness, bowing: W.bowing, seed: Math.random() * 10000 };
+        const roughOpts = { roughness: W.roughness, bowing: W.bowing, seed: nextSeed() };
         
-        // Draw widehat (^) shape
         const peakX = width * W.hatPeakPercent;
         const botY = height - 2;
         const topY = 2;
         
-        drawRoughShape(svg, generator.line(2, botY, peakX, topY, roughOpts), color, settings);
-        roughOpts.seed = Math.random() * 10000;
-        drawRoughShape(svg, generator.line(peakX, topY, width - 2, botY, roughOpts), color, settings);
+        if (type === 'hat') {
+            drawRoughShape(canvas, generator.line(2, botY, peakX, topY, roughOpts), color, settings);
+            roughOpts.seed = nextSeed();
+            drawRoughShape(canvas, generator.line(peakX, topY, width - 2, botY, roughOpts), color, settings);
+        } else if (type === 'check') {
+            drawRoughShape(canvas, generator.line(2, topY, peakX, botY, roughOpts), color, settings);
+            roughOpts.seed = nextSeed();
+            drawRoughShape(canvas, generator.line(peakX, botY, width - 2, topY, roughOpts), color, settings);
+        } else if (type === 'tilde') {
+            // One sine period per wave, 8 samples each, as a single stroke
+            const waves = Math.max(1, W.tildeWaves);
+            const steps = waves * 8;
+            const amp = height / 2 - 2;
+            const points = Array.from({ length: steps + 1 }, (_, i) => {
+                const t = i / steps;
+                return [2 + t * (width - 4), height / 2 - amp * Math.sin(t * waves * 2 * Math.PI)];
+            });
+            drawRoughShape(canvas, generator.curve(points, { ...roughOpts, disableMultiStroke: true }), color, settings);
+        } else {
+            // Half of an ellipse: bulging up over the base, or down under it
+            const centerY = type === 'overgroup' ? botY : topY;
+            const [start, stop] = type === 'overgroup' ? [Math.PI, 2 * Math.PI] : [0, Math.PI];
+            const arc = generator.arc(width / 2, centerY, width - 4, (botY - topY) * 2, start, stop, false, { ...roughOpts, disableMultiStroke: true });
+            drawRoughShape(canvas, arc, color, settings);
+        }
         
         count++;
     });
@@ -782,17 +1397,18 @@ function processWideAccents() {
 // PROCESSOR 7: CANCEL
 // ════════════════════════════════════════════════════════════════════════════════
 
-function processCancel() {
+function processCancel(root) {
     let count = 0;
-    const C = MASTER_SETTINGS.cancel;
+    const C = activeSettings.cancel;
     
-    document.querySelectorAll('.cancel-pad svg, .cancel svg').forEach(svg => {
+    queryKatex(root, '.cancel-pad svg, .cancel svg').forEach(svg => {
         if (svg.dataset.hwk) return;
         
         const line = svg.querySelector('line');
         if (!line) return;
         
         svg.dataset.hwk = 'cancel';
+        seedRandom(svg, 'cancel');
         
         const rect = svg.getBoundingClientRect();
         const width = rect.width;
@@ -805,10 +1421,10 @@ function processCancel() {
         
         const color = line.getAttribute('stroke') || getColor(svg);
         
-        line.style.opacity = '0';
+        setStyles(line, { opacity: '0' });
         
         const settings = { size: C.strokeSize };
-        const roughOpts = { roughness: C.roughness, bowing: C.bowing, seed: Math.random() * 10000 };
+        const roughOpts = { roughness: C.roughness, bowing: C.bowing, seed: nextSeed() };
         
         drawRoughShape(svg, generator.line(x1, y1, x2, y2, roughOpts), color, settings);
         
@@ -822,19 +1438,20 @@ function processCancel() {
 // PROCESSOR 8: STRIKETHROUGH
 // ════════════════════════════════════════════════════════════════════════════════
 
-function processStrikethrough() {
+function processStrikethrough(root) {
     let count = 0;
-    const S = MASTER_SETTINGS.strike;
+    const S = activeSettings.strike;
     
-    document.querySelectorAll('.stretchy.sout').forEach(el => {
+    queryKatex(root, '.stretchy.sout').forEach(el => {
         if (el.dataset.hwk) return;
         
         el.dataset.hwk = 'sout';
+        seedRandom(el, 'sout');
         
         const rect = el.getBoundingClientRect();
         if (rect.width < 3) return;
         
-        const color = getComputedStyle(el).borderBottomColor || getColor(el);
+        const color = getBorderColor(el, 'borderBottomColor');
         const svgHeight = 20;
         
         const svg = createOverlaySVG(rect.width, svgHeight);
@@ -842,12 +1459,11 @@ function processStrikethrough() {
         svg.style.transform = 'translateY(-50%)';
         
         const settings = { size: S.strokeSize };
-        const roughOpts = { roughness: S.roughness, bowing: S.bowing, seed: Math.random() * 10000 };
+        const roughOpts = { roughness: S.roughness, bowing: S.bowing, seed: nextSeed() };
         
         drawRoughShape(svg, generator.line(0, svgHeight / 2, rect.width, svgHeight / 2, roughOpts), color, settings);
         
-        el.style.position = 'relative';
-        el.style.borderBottomColor = 'transparent';
+        setStyles(el, { position: 'relative', borderBottomColor: 'transparent' });
         el.appendChild(svg);
         count++;
     });
@@ -859,28 +1475,63 @@ function processStrikethrough() {
 // PROCESSOR 9: BOXED
 // ════════════════════════════════════════════════════════════════════════════════
 
-function processBoxed() {
+// rough.js fill options for a \colorbox background. 'scribble' is a zigzag in a
+// broad see-through marker, so overlapping strokes darken like a highlighter.
+function boxFill(background, B) {
+    const scribble = B.fillStyle === 'scribble';
+    const gap = scribble ? B.hachureGap * 1.5 : B.hachureGap;
+    
+    return {
+        roughOpts: {
+            fill: background,
+            fillStyle: scribble ? 'zigzag' : B.fillStyle,
+            hachureGap: gap,
+            hachureAngle: B.hachureAngle,
+            disableMultiStrokeFill: scribble,
+        },
+        settings: {
+            fillWeight: scribble ? gap * 1.2 : B.fillWeight,
+            fillOpacity: scribble ? 0.5 : B.fillOpacity,
+        },
+    };
+}
+
+function processBoxed(root) {
     let count = 0;
-    const B = MASTER_SETTINGS.boxed;
+    const B = activeSettings.boxed;
     
-    document.querySelectorAll('.boxed, .fbox').forEach(el => {
+    queryKatex(root, '.boxed, .fbox, .colorbox, .fcolorbox').forEach(el => {
         if (el.dataset.hwk) return;
         
         el.dataset.hwk = 'boxed';
+        seedRandom(el, 'boxed');
         
         const rect = el.getBoundingClientRect();
         if (rect.width < 5 || rect.height < 5) return;
         
-        const color = getComputedStyle(el).borderColor || getColor(el);
+        const style = getComputedStyle(el);
+        const color = getBorderColor(el, 'borderColor');
+        const filled = el.classList.contains('colorbox') || el.classList.contains('fcolorbox');
         
         const svg = createOverlaySVG(rect.width, rect.height);
         const settings = { size: B.strokeSize };
-        const roughOpts = { roughness: B.roughness, bowing: B.bowing, seed: Math.random() * 10000 };
+        const roughOpts = { roughness: B.roughness, bowing: B.bowing, seed: nextSeed() };
+        
+        if (filled) {
+            const fill = boxFill(style.backgroundColor, B);
+            Object.assign(roughOpts, fill.roughOpts);
+            Object.assign(settings, fill.settings);
+            if (el.classList.contains('colorbox')) roughOpts.stroke = 'none';
+            
+            // KaTeX stacks the box's content after it; stay underneath
+            svg.style.zIndex = 'auto';
+        }
         
         drawRoughShape(svg, generator.rectangle(B.padding, B.padding, rect.width - B.padding * 2, rect.height - B.padding * 2, roughOpts), color, settings);
         
-        el.style.position = 'relative';
-        el.style.border = 'none';
+        setStyles(el, filled
+            ? { position: 'relative', border: 'none', backgroundColor: 'transparent' }
+            : { position: 'relative', border: 'none' });
         el.appendChild(svg);
         count++;
     });
@@ -892,20 +1543,21 @@ function processBoxed() {
 // PROCESSOR 10: TABLE LINES
 // ════════════════════════════════════════════════════════════════════════════════
 
-function processTableLines() {
+function processTableLines(root) {
     let count = 0;
-    const T = MASTER_SETTINGS.table;
+    const T = activeSettings.table;
     
     // Horizontal lines
-    document.querySelectorAll('.hline').forEach(el => {
+    queryKatex(root, '.hline').forEach(el => {
         if (el.dataset.hwk) return;
         
         const rect = el.getBoundingClientRect();
         if (rect.width < 3) return;
         
         el.dataset.hwk = 'table-hline';
+        seedRandom(el, 'table-hline');
         
-        const color = getComputedStyle(el).borderBottomColor || getColor(el);
+        const color = getBorderColor(el, 'borderBottomColor');
         const svgHeight = 12;
         
         const svg = createOverlaySVG(rect.width, svgHeight);
@@ -913,26 +1565,26 @@ function processTableLines() {
         svg.style.transform = 'translateY(-50%)';
         
         const settings = { size: T.strokeSize };
-        const roughOpts = { roughness: T.roughness, bowing: T.bowing, seed: Math.random() * 10000 };
+        const roughOpts = { roughness: T.roughness, bowing: T.bowing, seed: nextSeed() };
         
         drawRoughShape(svg, generator.line(0, svgHeight / 2, rect.width, svgHeight / 2, roughOpts), color, settings);
         
-        el.style.position = 'relative';
-        el.style.borderBottomColor = 'transparent';
+        setStyles(el, { position: 'relative', borderBottomColor: 'transparent' });
         el.appendChild(svg);
         count++;
     });
     
     // Vertical lines
-    document.querySelectorAll('.vertical-separator').forEach(el => {
+    queryKatex(root, '.vertical-separator').forEach(el => {
         if (el.dataset.hwk) return;
         
         const rect = el.getBoundingClientRect();
         if (rect.height < 3) return;
         
         el.dataset.hwk = 'table-vline';
+        seedRandom(el, 'table-vline');
         
-        const color = getComputedStyle(el).borderRightColor || getColor(el);
+        const color = getBorderColor(el, 'borderRightColor');
         const svgWidth = 12;
         
         const svg = createOverlaySVG(svgWidth, rect.height);
@@ -941,12 +1593,11 @@ function processTableLines() {
         svg.style.transform = 'translateX(-50%)';
         
         const settings = { size: T.strokeSize };
-        const roughOpts = { roughness: T.roughness, bowing: T.bowing, seed: Math.random() * 10000 };
+        const roughOpts = { roughness: T.roughness, bowing: T.bowing, seed: nextSeed() };
         
         drawRoughShape(svg, generator.line(svgWidth / 2, 0, svgWidth / 2, rect.height, roughOpts), color, settings);
         
-        el.style.position = 'relative';
-        el.style.borderRightColor = 'transparent';
+        setStyles(el, { position: 'relative', borderRightColor: 'transparent' });
         el.appendChild(svg);
         count++;
     });
@@ -958,17 +1609,18 @@ function processTableLines() {
 // PROCESSOR 11: VECTOR ARROWS
 // ════════════════════════════════════════════════════════════════════════════════
 
-function processVectorArrows() {
+function processVectorArrows(root) {
     let count = 0;
-    const V = MASTER_SETTINGS.vector;
+    const V = activeSettings.vector;
     
-    document.querySelectorAll('.overlay svg').forEach(svg => {
+    queryKatex(root, '.overlay svg').forEach(svg => {
         if (svg.dataset.hwk) return;
         
         const viewBox = svg.getAttribute('viewBox');
         if (!viewBox || !viewBox.includes('471')) return;
         
         svg.dataset.hwk = 'vec-arrow';
+        seedRandom(svg, 'vec-arrow');
         
         const rect = svg.getBoundingClientRect();
         const width = rect.width;
@@ -978,10 +1630,10 @@ function processVectorArrows() {
         const color = getColor(svg);
         const settings = { size: V.strokeSize };
         
-        clearSVG(svg);
-        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        takeOverSVG(svg);
+        setAttr(svg, 'viewBox', `0 0 ${width} ${height}`);
         
-        const roughOpts = { roughness: V.roughness, bowing: V.bowing, seed: Math.random() * 10000 };
+        const roughOpts = { roughness: V.roughness, bowing: V.bowing, seed: nextSeed() };
         
         const midY = height * V.lineYPercent;
         const arrowTipX = width - 2;
@@ -992,9 +1644,9 @@ function processVectorArrows() {
         drawRoughShape(svg, generator.line(arrowStartX, midY, arrowTipX - 1, midY, roughOpts), color, settings);
         
         // Arrowhead
-        roughOpts.seed = Math.random() * 10000;
+        roughOpts.seed = nextSeed();
         drawRoughShape(svg, generator.line(arrowTipX, midY, arrowTipX - arrowSize, midY - arrowSize, roughOpts), color, settings);
-        roughOpts.seed = Math.random() * 10000;
+        roughOpts.seed = nextSeed();
         drawRoughShape(svg, generator.line(arrowTipX, midY, arrowTipX - arrowSize, midY + arrowSize, roughOpts), color, settings);
         
         count++;
@@ -1004,55 +1656,985 @@ function processVectorArrows() {
 }
 
 // ════════════════════════════════════════════════════════════════════════════════
-// MAIN API
+// PROCESSOR 12: COMMUTATIVE DIAGRAMS
 // ════════════════════════════════════════════════════════════════════════════════
 
-export async function applyHandwritingGeometry() {
-    if (!dependenciesLoaded) {
-        await initDependencies();
-    }
-    
-    const counts = {
-        delimiters: processDelimiters(),
-        hlines: processHorizontalLines(),
-        sqrts: processSquareRoots(),
-        xarrows: processExtensibleArrows(),
-        braces: processStretchyBraces(),
-        accents: processWideAccents(),
-        cancel: processCancel(),
-        strike: processStrikethrough(),
-        boxed: processBoxed(),
-        tableLines: processTableLines(),
-        vectorArrows: processVectorArrows(),
-    };
+// In \begin{CD}, @>>> @<<< and @= are ordinary extensible arrows (processor 4)
+// and @| is a \Vert delimiter (processor 1). A vertical arrow is a ↓ or ↑ glyph
+// stack with its labels as siblings, so only the stack is redrawn and the
+// labels keep the place KaTeX gave them.
+function processCommutativeDiagrams(root) {
+    let count = 0;
+    const A = activeSettings.xarrow;
     
-    const total = Object.values(counts).reduce((a, b) => a + b, 0);
-    console.log('[KaTeX-HWG v4.0] Applied to', total, 'elements:', counts);
+    queryKatex(root, '.cd-vert-arrow .delimsizing').forEach(delimEl => {
+        if (delimEl.dataset.hwk) return;
+        
+        const glyphs = delimEl.textContent;
+        const down = glyphs.includes('↓');
+        if (!down && !glyphs.includes('↑')) return;
+        
+        delimEl.dataset.hwk = 'cd-arrow';
+        seedRandom(delimEl, 'cd-arrow');
+        
+        const rect = delimEl.getBoundingClientRect();
+        const width = rect.width;
+        const height = rect.height;
+        if (width < 3 || height < 10) return;
+        
+        const color = getColor(delimEl);
+        const svg = createOverlaySVG(width, height);
+        const settings = { size: A.strokeSize };
+        const arrowSize = Math.min(width * A.arrowSizePercent, A.maxArrowSize);
+        const row = down
+            ? { shaft: 'single', left: 'none', right: 'head' }
+            : { shaft: 'single', left: 'head', right: 'none' };
+        
+        // Laid out like a horizontal arrow, then stood upright
+        arrowRowStrokes(row, 2, height - 2, width / 2, arrowSize).forEach(points => {
+            const roughOpts = { roughness: A.roughness, bowing: A.bowing, seed: nextSeed(), disableMultiStroke: true };
+            const upright = points.map(([x, y]) => [y, x]);
+            drawRoughShape(svg, generator.linearPath(upright, roughOpts), color, settings);
+        });
+        
+        delimEl.querySelectorAll('.delimsizinginner, svg').forEach(piece => setStyles(piece, { opacity: '0' }));
+        setStyles(delimEl, { position: 'relative' });
+        delimEl.appendChild(svg);
+        count++;
+    });
     
+    return count;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// PROCESSOR 13: CHEMICAL BONDS
+// ════════════════════════════════════════════════════════════════════════════════
+
+// mhchem's reaction arrows are ordinary extensible arrows (processor 4). Its
+// bonds are plain glyphs; bondLines() tells them from ordinary math that looks
+// the same.
+
+function processChemicalBonds(root) {
+    let count = 0;
+    const B = activeSettings.bond;
+    
+    queryKatex(root, BOND_SELECTOR).forEach(el => {
+        if (el.dataset.hwk) return;
+        
+        const lines = bondLines(el);
+        if (!lines) return;
+        
+        el.dataset.hwk = 'bond';
+        seedRandom(el, 'bond');
+        
+        const rect = el.getBoundingClientRect();
+        const width = rect.width;
+        const height = rect.height;
+        if (width < 3 || height < 3) return;
+        
+        const em = parseFloat(getComputedStyle(el).fontSize) || 16;
+        const inset = 0.08 * em;
+        
+        const color = getColor(el);
+        const svg = createOverlaySVG(width, height);
+        const settings = { size: B.strokeSize };
+        
+        bondLineYs(el, rect, lines, em).forEach(y => {
+            const roughOpts = { roughness: B.roughness, bowing: B.bowing, seed: nextSeed(), disableMultiStroke: true };
+            drawRoughShape(svg, generator.line(inset, y, width - inset, y, roughOpts), color, settings);
+        });
+        
+        setStyles(el, { position: 'relative', webkitTextFillColor: 'transparent' });
+        el.appendChild(svg);
+        count++;
+    });
+    
+    return count;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// MAIN API
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Apply hand-drawn geometry to every KaTeX equation inside `root`.
+ * 
+ * @param {Document|Element} [root=document] - Only KaTeX inside this node is processed
+ * @param {Object} [options]
+ * @param {number} [options.seed] - Overrides MASTER_SETTINGS.random.seed for this call
+ * @param {boolean} [options.check] - Afterwards, report equations screen readers can't read
+ * @returns {Promise<Object>} Per-processor counts
+ */
+export async function applyHandwritingGeometry(root = document, options = {}) {
+    return applyWithSettings(root, options, MASTER_SETTINGS);
+}
+
+async function applyWithSettings(root, options, settings) {
+    if (!dependenciesLoaded) {
+        await initDependencies();
+    }
+    
+    // Measuring before web fonts arrive gives wrong widths
+    if (document.fonts) await document.fonts.ready;
+    
+    const counts = runProcessors(root, options, settings);
+    
+    const total = Object.values(counts).reduce((a, b) => a + b, 0);
+    console.log('[KaTeX-HWG v4.0] Applied to', total, 'elements:', counts);
+    
+    if (options.check) checkAccessibility(root);
     return counts;
 }
 
-export function clearHandwritingGeometry() {
-    document.querySelectorAll('.hwk-overlay').forEach(svg => svg.remove());
-    document.querySelectorAll('.hwk-path').forEach(path => path.remove());
+function withSettings(settings, draw) {
+    const previous = activeSettings;
+    activeSettings = settings;
+    try {
+        return draw();
+    } finally {
+        activeSettings = previous;
+    }
+}
+
+function runProcessors(root, options, settings) {
+    globalSeed = options.seed ?? settings.random.seed;
+    katexIn(root).forEach(katexEl => {
+        if (!katexOwners.has(katexEl)) katexOwners.set(katexEl, settings);
+        if (katexOwners.get(katexEl) === settings && !katexSeeds.has(katexEl)) {
+            katexSeeds.set(katexEl, globalSeed);
+        }
+    });
+    
+    return withSettings(settings, () => ({
+        delimiters: processDelimiters(root),
+        hlines: processHorizontalLines(root),
+        sqrts: processSquareRoots(root),
+        xarrows: processExtensibleArrows(root),
+        braces: processStretchyBraces(root),
+        accents: processWideAccents(root),
+        cancel: processCancel(root),
+        strike: processStrikethrough(root),
+        boxed: processBoxed(root),
+        tableLines: processTableLines(root),
+        vectorArrows: processVectorArrows(root),
+        cdArrows: processCommutativeDiagrams(root),
+        bonds: processChemicalBonds(root),
+    }));
+}
+
+function isOwnNode(node) {
+    return node.classList.contains('hwk-overlay')
+        || node.classList.contains('hwk-path')
+        || node.classList.contains('hwk-annotation')
+        || node.closest('.hwk-overlay, .hwk-annotation') !== null;
+}
+
+/**
+ * Process everything inside `root` now, then keep watching it: every newly
+ * inserted .katex subtree is processed on the next animation frame. Overlays
+ * this library inserts itself are ignored.
+ * 
+ * @param {Element} [root=document.body]
+ * @param {Object} [options] - Same as applyHandwritingGeometry()
+ * @returns {{ disconnect: Function }}
+ */
+export function observeHandwritingGeometry(root = document.body, options = {}) {
+    return observeWithSettings(root, options, MASTER_SETTINGS);
+}
+
+function observeWithSettings(root, options, settings) {
+    const ready = applyWithSettings(root, options, settings);
+    const pending = new Set();
+    let frame = null;
+    let layout = null;
+    let disconnected = false;
+    
+    ready.then(() => {
+        if (!disconnected && options.relayout !== false) layout = observeLayoutWithSettings(root, options, settings);
+    });
+    
+    const flush = () => {
+        frame = null;
+        const targets = Array.from(pending).filter(el => el.isConnected);
+        pending.clear();
+        targets.forEach(el => {
+            runProcessors(el, options, settings);
+            if (layout) layout.add(el);
+        });
+    };
     
-    document.querySelectorAll('[data-hwk]').forEach(el => {
+    const observer = new MutationObserver(mutations => {
+        mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType !== Node.ELEMENT_NODE || isOwnNode(node)) return;
+                if (node.matches('.katex')) pending.add(node);
+                else node.querySelectorAll('.katex').forEach(el => pending.add(el));
+            });
+        });
+        
+        if (pending.size > 0 && frame === null) {
+            frame = requestAnimationFrame(() => ready.then(flush));
+        }
+    });
+    
+    observer.observe(root, { childList: true, subtree: true });
+    
+    return {
+        disconnect() {
+            disconnected = true;
+            observer.disconnect();
+            if (layout) layout.disconnect();
+            if (frame !== null) cancelAnimationFrame(frame);
+            frame = null;
+            pending.clear();
+        },
+    };
+}
+
+/**
+ * Remove hand-drawn geometry from KaTeX inside `root` and restore the exact
+ * DOM KaTeX rendered (glyph paths, viewBox, inline styles). Anything outside
+ * `root`, and any SVG that is not part of a processed equation, is left alone.
+ * This clears what handwriters drew there too.
+ * 
+ * @param {Document|Element} [root=document]
+ */
+export function clearHandwritingGeometry(root = document) {
+    revert(root, false);
+    console.log('[KaTeX-HWG v4.0] Cleared handwriting geometry');
+}
+
+// Only equations drawn with `owner` when one is given
+function revert(root, keepSeeds, owner = null) {
+    queryKatex(root, '.hwk-overlay', owner).forEach(svg => svg.remove());
+    queryKatex(root, '.hwk-path', owner).forEach(path => {
+        // Annotation strokes are hwk-paths too; annotations go through remove()
+        if (!path.closest('.hwk-annotation')) path.remove();
+    });
+    
+    queryKatex(root, '[data-hwk-orig]', owner).forEach(restoreOriginal);
+    queryKatex(root, '[data-hwk]', owner).forEach(el => {
         el.removeAttribute('data-hwk');
-        el.style.borderBottomColor = '';
-        el.style.borderRightColor = '';
-        el.style.opacity = '';
-        el.style.border = '';
-        el.style.visibility = '';
+        if (!keepSeeds) elementSeeds.delete(el);
+    });
+    
+    if (keepSeeds) return;
+    katexIn(root).forEach(katexEl => {
+        if (owner !== null && katexOwners.get(katexEl) !== owner) return;
+        katexOwners.delete(katexEl);
+        katexSeeds.delete(katexEl);
+    });
+}
+
+/**
+ * Redraw overlays whenever an equation changes size (late web fonts, container
+ * reflow) or the page zoom changes. Every .katex inside `root` is watched;
+ * redrawn elements keep their seeds, so the strokes keep their character.
+ * Sizes are first measured once document.fonts.ready has resolved.
+ * 
+ * @param {Element} [root=document.body]
+ * @param {Object} [options] - Same as applyHandwritingGeometry()
+ * @returns {{ add: Function, disconnect: Function }} add(katexEl) watches one more equation
+ */
+export function observeLayout(root = document.body, options = {}) {
+    return observeLayoutWithSettings(root, options, MASTER_SETTINGS);
+}
+
+function observeLayoutWithSettings(root, options, settings) {
+    const sizes = new WeakMap();
+    const watched = new Set();
+    const dirty = new Set();
+    let frame = null;
+    let zoomQuery = null;
+    let disconnected = false;
+    
+    const relayout = () => {
+        frame = null;
+        dirty.forEach(katexEl => {
+            if (!katexEl.isConnected) {
+                watched.delete(katexEl);
+                resizeObserver.unobserve(katexEl);
+                return;
+            }
+            revert(katexEl, true, settings);
+            runProcessors(katexEl, options, settings);
+        });
+        dirty.clear();
+    };
+    
+    const schedule = katexEl => {
+        dirty.add(katexEl);
+        if (frame === null && dependenciesLoaded) frame = requestAnimationFrame(relayout);
+    };
+    
+    const resizeObserver = new ResizeObserver(entries => {
+        entries.forEach(entry => {
+            const { width, height } = entry.contentRect;
+            const last = sizes.get(entry.target);
+            sizes.set(entry.target, { width, height });
+            
+            // The first callback for each element only records its size
+            if (last && (Math.abs(last.width - width) > 0.5 || Math.abs(last.height - height) > 0.5)) {
+                schedule(entry.target);
+            }
+        });
+    });
+    
+    // Zoom changes devicePixelRatio without necessarily resizing anything
+    const onZoom = () => {
+        watched.forEach(schedule);
+        watchZoom();
+    };
+    const watchZoom = () => {
+        if (disconnected || typeof matchMedia !== 'function') return;
+        zoomQuery = matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+        zoomQuery.addEventListener('change', onZoom, { once: true });
+    };
+    
+    const add = katexEl => {
+        if (disconnected || watched.has(katexEl)) return;
+        watched.add(katexEl);
+        resizeObserver.observe(katexEl);
+    };
+    
+    const fontsReady = document.fonts ? document.fonts.ready : Promise.resolve();
+    fontsReady.then(() => {
+        if (disconnected) return;
+        if (root.matches && root.matches('.katex')) add(root);
+        root.querySelectorAll('.katex').forEach(add);
+        watchZoom();
+    });
+    
+    return {
+        add,
+        disconnect() {
+            disconnected = true;
+            resizeObserver.disconnect();
+            if (zoomQuery) zoomQuery.removeEventListener('change', onZoom);
+            if (frame !== null) cancelAnimationFrame(frame);
+            frame = null;
+            watched.clear();
+            dirty.clear();
+        },
+    };
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// HANDWRITERS
+// Several inks on one page: each handwriter draws with its own deep copy of the
+// settings, so nothing has to mutate MASTER_SETTINGS between calls.
+// ════════════════════════════════════════════════════════════════════════════════
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep copy of `defaults` with `overrides` merged in; arrays are replaced, not merged
+function mergeSettings(defaults, overrides = {}) {
+    const merged = {};
+    for (const [key, value] of Object.entries(defaults)) {
+        merged[key] = isPlainObject(value) ? mergeSettings(value) : value;
+    }
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value === undefined) continue;
+        merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+            ? mergeSettings(merged[key], value)
+            : value;
+    }
+    return merged;
+}
+
+/**
+ * Create a handwriter whose settings are `options` deep-merged over
+ * MASTER_SETTINGS as they are now. Later changes to MASTER_SETTINGS don't
+ * reach it; change `handwriter.settings` instead.
+ * 
+ *   const teacher = createHandwriter({ global: { roughness: 0.8, color: '#1c5fd4' } });
+ *   const student = createHandwriter({ global: { roughness: 3.2 }, variance: { size: 1.8 } });
+ *   await teacher.apply(solutionEl);
+ *   student.observe(answerEl);
+ * 
+ * @param {Object} [options] - Any part of MASTER_SETTINGS
+ * @returns {{ settings: Object, apply: Function, clear: Function, observe: Function,
+ *     observeLayout: Function, annotate: Function, animate: Function }}
+ *   Same signatures as applyHandwritingGeometry(), clearHandwritingGeometry(),
+ *   observeHandwritingGeometry(), observeLayout(), annotate() and
+ *   animateHandwriting(). An equation belongs to the first handwriter that
+ *   draws it until it is cleared: others skip it, and clear() (by default in
+ *   every root this handwriter applied to) only removes this one's strokes.
+ */
+export function createHandwriter(options = {}) {
+    const settings = mergeSettings(MASTER_SETTINGS, options);
+    const roots = new Set();
+    
+    return {
+        settings,
+        
+        apply(root = document, opts = {}) {
+            roots.add(root);
+            return applyWithSettings(root, opts, settings);
+        },
+        
+        clear(root = null) {
+            const targets = root ? [root] : Array.from(roots);
+            targets.forEach(target => {
+                revert(target, false, settings);
+                roots.delete(target);
+            });
+        },
+        
+        observe(root = document.body, opts = {}) {
+            roots.add(root);
+            return observeWithSettings(root, opts, settings);
+        },
+        
+        observeLayout(root = document.body, opts = {}) {
+            return observeLayoutWithSettings(root, opts, settings);
+        },
+        
+        annotate(target, opts = {}) {
+            return annotateWithSettings(target, opts, settings);
+        },
+        
+        animate(root = document, opts = {}) {
+            return animateWithSettings(root, opts, settings);
+        },
+    };
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// ACCESSIBILITY CHECK
+// ════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Report equations inside `root` that a screen reader can't read, and drawn
+ * graphics it would announce as unlabeled images. Works on output of any
+ * pipeline in this repo.
+ * 
+ * @param {Document|Element} [root=document]
+ * @returns {Array<{ element: Element, tex: string, problem: string }>} Empty when all is well
+ */
+export function checkAccessibility(root = document) {
+    return reportAccessibility(root, '[KaTeX-HWG v4.0]');
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// WRITE-ON ANIMATION
+// Each stroke is regenerated from a growing prefix of the points it was drawn
+// from, so the pen visibly travels along it. Plain fills have no pen points
+// and simply appear once their turn is over.
+// ════════════════════════════════════════════════════════════════════════════════
+
+function prefersReducedMotion() {
+    return typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+        && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Overlays sorted left to right, top to bottom; strokes keep their order inside
+function readingOrder(paths) {
+    const overlays = [...new Set(paths.map(path => path.ownerSVGElement || path.parentNode))];
+    const rects = new Map(overlays.map(svg => [svg, svg.getBoundingClientRect()]));
+    overlays.sort((a, b) => {
+        const ra = rects.get(a), rb = rects.get(b);
+        const sameLine = ra.top < rb.bottom && rb.top < ra.bottom;
+        return sameLine ? ra.left - rb.left : ra.top - rb.top;
+    });
+    return overlays.flatMap(svg => paths.filter(path => (path.ownerSVGElement || path.parentNode) === svg));
+}
+
+function partialOutline(record, progress) {
+    if (progress >= 1) return record.d;
+    
+    const { points } = record;
+    const at = progress * (points.length - 1);
+    const i = Math.floor(at);
+    const t = at - i;
+    if (i === 0 && t === 0) return '';
+    
+    const head = points.slice(0, i + 1);
+    if (t > 0) head.push(points[i].map((v, k) => v + (points[i + 1][k] - v) * t));
+    return outlineToPath(getStroke(head, { ...record.options, last: false }));
+}
+
+/**
+ * Write the handwritten strokes under `root` on one by one.
+ * Call it after applyHandwritingGeometry() / annotate(); strokes drawn later
+ * are not part of the animation. Under prefers-reduced-motion everything is
+ * shown at once.
+ * 
+ * @param {Element|Document} [root=document]
+ * @param {Object} [options] - Overrides MASTER_SETTINGS.animation
+ * @param {number} [options.duration] - ms to write one stroke
+ * @param {number} [options.stagger] - ms between the starts of consecutive strokes
+ * @param {string|Function} [options.order] - 'reading', 'dom' or a function
+ *     that takes the stroke paths and returns them in drawing order
+ * @param {boolean} [options.autoplay=true]
+ * @returns {Object} Controls: play(), pause(), seek(ms), finish(), currentTime,
+ *     totalTime and a `finished` promise
+ */
+export function animateHandwriting(root = document, options = {}) {
+    return animateWithSettings(root, options, null);
+}
+
+// settings: a handwriter's, whose strokes alone are animated; null for all
+function animateWithSettings(root, options, settings) {
+    const config = { ...(settings || MASTER_SETTINGS).animation, ...options };
+    const found = Array.from(root.querySelectorAll('.hwk-path'))
+        .filter(path => !settings || katexOwners.get(path.closest('.katex')) === settings);
+    
+    let paths = found;
+    if (typeof config.order === 'function') paths = config.order(found);
+    else if (config.order === 'reading') paths = readingOrder(found);
+    
+    const strokes = paths.map((path, i) => ({
+        path,
+        record: strokeRecords.get(path),
+        finalD: path.getAttribute('d'),
+        start: i * config.stagger,
+    }));
+    const totalTime = strokes.length ? (strokes.length - 1) * config.stagger + config.duration : 0;
+    
+    let currentTime = 0;
+    let playing = false;
+    let frame = null;
+    let lastStamp = null;
+    let resolveFinished;
+    const finished = new Promise(resolve => { resolveFinished = resolve; });
+    
+    const render = () => {
+        strokes.forEach(({ path, record, finalD, start }) => {
+            const progress = Math.max(0, Math.min(1, (currentTime - start) / (config.duration || 1)));
+            if (record) {
+                path.setAttribute('d', progress >= 1 ? finalD : partialOutline(record, progress));
+            } else {
+                path.style.visibility = progress >= 1 ? '' : 'hidden';
+                if (!path.getAttribute('style')) path.removeAttribute('style');
+            }
+        });
+    };
+    
+    const tick = stamp => {
+        frame = null;
+        if (!playing) return;
+        currentTime = Math.min(totalTime, currentTime + (lastStamp === null ? 0 : stamp - lastStamp));
+        lastStamp = stamp;
+        render();
+        if (currentTime >= totalTime) {
+            playing = false;
+            resolveFinished();
+        } else {
+            frame = requestAnimationFrame(tick);
+        }
+    };
+    
+    const controls = {
+        totalTime,
+        finished,
+        get currentTime() { return currentTime; },
+        
+        play() {
+            if (playing) return controls;
+            if (currentTime >= totalTime) currentTime = 0;
+            playing = true;
+            lastStamp = null;
+            frame = requestAnimationFrame(tick);
+            return controls;
+        },
+        
+        pause() {
+            playing = false;
+            if (frame !== null) cancelAnimationFrame(frame);
+            frame = null;
+            return controls;
+        },
+        
+        /** Jump to `time` ms; keeps playing if it was playing. */
+        seek(time) {
+            currentTime = Math.max(0, Math.min(totalTime, time));
+            lastStamp = null;
+            render();
+            if (currentTime >= totalTime && !playing) resolveFinished();
+            return controls;
+        },
+        
+        finish() {
+            controls.pause();
+            return controls.seek(totalTime);
+        },
+    };
+    
+    if (prefersReducedMotion()) return controls.finish();
+    
+    render();
+    if (config.autoplay !== false) controls.play();
+    return controls;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// STROKE DATA EXPORT / REPLAY
+// The pen points, getStroke options, colors and DOM changes behind one
+// equation, as plain JSON. Replaying it onto the same TeX rendered by the same
+// KaTeX version gives the same paths without running any processor.
+// ════════════════════════════════════════════════════════════════════════════════
+
+const STROKE_FORMAT = 1;
+
+function elementAt(root, path) {
+    if (path === '') return root;
+    return path.split('.').reduce((el, i) => (el ? el.children[Number(i)] : null), root);
+}
+
+function findKatex(root) {
+    if (root.classList && root.classList.contains('katex')) return root;
+    return root.querySelector('.katex');
+}
+
+function exportInk(path) {
+    const ink = { color: path.getAttribute('fill') };
+    const opacity = path.getAttribute('fill-opacity');
+    if (opacity !== null) ink.opacity = Number(opacity);
+    
+    const record = strokeRecords.get(path);
+    if (record) {
+        ink.points = record.points;
+        ink.options = record.options;
+    } else {
+        ink.d = path.getAttribute('d');
+    }
+    return ink;
+}
+
+/**
+ * Everything needed to redraw one equation's handwriting: every stroke's
+ * [x, y, pressure] points with its getStroke options and color, grouped by
+ * the SVG it is drawn in, plus the KaTeX element type (data-hwk) and seed
+ * that produced it. Annotations are not included.
+ * 
+ * @param {Element} katexEl - A .katex element, or a node containing one
+ * @returns {Object|null} JSON-serializable stroke data
+ */
+export function exportStrokes(katexEl) {
+    const katex = katexEl && findKatex(katexEl);
+    if (!katex) {
+        console.warn('[KaTeX-HWG v4.0] exportStrokes(): no .katex element in', katexEl);
+        return null;
+    }
+    
+    // Attributes the processors changed (hidden glyphs, resized viewBoxes, flags)
+    const elements = Array.from(katex.querySelectorAll('[data-hwk-orig], [data-hwk]'))
+        .filter(el => !isOwnNode(el))
+        .map(el => {
+            const snap = originals.get(el);
+            const attrs = {};
+            Object.keys(snap ? snap.attrs : {}).forEach(name => { attrs[name] = el.getAttribute(name); });
+            if (el.dataset.hwk) attrs['data-hwk'] = el.dataset.hwk;
+            return { path: elementPath(el, katex), attrs, takeOver: !!(snap && snap.children) };
+        });
+    
+    const layers = Array.from(katex.querySelectorAll('svg'))
+        .filter(svg => !svg.classList.contains('hwk-annotation'))
+        .filter(svg => svg.classList.contains('hwk-overlay') || svg.querySelector(':scope > .hwk-path'))
+        .map(svg => {
+            const overlay = svg.classList.contains('hwk-overlay');
+            const paths = Array.from(svg.querySelectorAll(':scope > .hwk-path'));
+            const record = paths.map(path => strokeRecords.get(path)).find(r => r && r.owner);
+            const owner = record && record.owner.el.isConnected ? record.owner : null;
+            const layer = {
+                path: elementPath(overlay ? svg.parentElement : svg, katex),
+                overlay,
+                owner: owner && {
+                    type: owner.kind,
+                    className: owner.el.getAttribute('class') || '',
+                    path: elementPath(owner.el, katex),
+                    seed: elementSeeds.get(owner.el) ?? null,
+                },
+                strokes: paths.map(exportInk),
+            };
+            if (overlay) {
+                layer.width = svg.getAttribute('width');
+                layer.height = svg.getAttribute('height');
+                layer.style = svg.getAttribute('style');
+            }
+            return layer;
+        });
+    
+    return {
+        format: STROKE_FORMAT,
+        version: 'KaTeX-HWG v4.0',
+        tex: getTexSource(katex),
+        seed: katexSeeds.get(katex) ?? null,
+        elements,
+        layers,
+    };
+}
+
+/**
+ * Draw exported stroke data onto a rendered equation, replacing any
+ * handwriting it already has. The equation must be the same TeX rendered the
+ * same way; strokes whose element can't be found are skipped with a warning.
+ * 
+ * @param {Object} data - Result of exportStrokes() (or its parsed JSON)
+ * @param {Element} katexEl - A .katex element, or a node containing one
+ * @returns {Promise<number>} Number of strokes drawn
+ */
+export async function replayStrokes(data, katexEl) {
+    if (!dependenciesLoaded) {
+        await initDependencies();
+    }
+    
+    const katex = katexEl && findKatex(katexEl);
+    if (!katex || !data || data.format !== STROKE_FORMAT) {
+        console.warn('[KaTeX-HWG v4.0] replayStrokes(): nothing to replay onto', katexEl, data && data.format);
+        return 0;
+    }
+    if (data.tex !== getTexSource(katex)) {
+        console.warn('[KaTeX-HWG v4.0] replayStrokes(): stroke data was exported from different TeX:', data.tex);
+    }
+    
+    revert(katex, false);
+    if (data.seed !== null && data.seed !== undefined) katexSeeds.set(katex, data.seed);
+    const missing = [];
+    
+    data.elements.forEach(({ path, attrs, takeOver }) => {
+        const el = elementAt(katex, path);
+        if (!el) return missing.push(path);
+        
+        if (takeOver) takeOverSVG(el);
+        Object.entries(attrs).forEach(([name, value]) => {
+            if (name === 'data-hwk') el.setAttribute(name, value);
+            else if (value === null) { saveAttr(el, name); el.removeAttribute(name); }
+            else setAttr(el, name, value);
+        });
     });
     
-    document.querySelectorAll('.stretchy svg, .delimsizinginner, .delimsizing svg').forEach(el => {
-        el.style.opacity = '';
-        el.style.visibility = '';
+    let drawn = 0;
+    data.layers.forEach(layer => {
+        const el = elementAt(katex, layer.path);
+        if (!el) return missing.push(layer.path);
+        
+        let svg = el;
+        if (layer.overlay) {
+            svg = createOverlaySVG(layer.width, layer.height);
+            if (layer.style !== null) svg.setAttribute('style', layer.style);
+            el.appendChild(svg);
+        }
+        
+        // Later re-layouts redraw the element with the stored seed
+        const owner = layer.owner && { el: elementAt(katex, layer.owner.path), kind: layer.owner.type };
+        if (owner && owner.el && layer.owner.seed !== null) elementSeeds.set(owner.el, layer.owner.seed);
+        
+        layer.strokes.forEach(ink => {
+            // getStroke straight from the stored options, not via drawPoints() defaults
+            const d = ink.points ? outlineToPath(getStroke(ink.points, ink.options)) : ink.d;
+            const path = appendInkPath(svg, d, ink.color, ink.opacity);
+            if (ink.points) strokeRecords.set(path, { points: ink.points, options: ink.options, d, owner });
+            drawn++;
+        });
     });
     
-    document.querySelectorAll('line').forEach(line => line.style.opacity = '');
+    if (missing.length) {
+        console.warn('[KaTeX-HWG v4.0] replayStrokes(): elements not found, skipped:', missing);
+    }
+    return drawn;
+}
+
+// ════════════════════════════════════════════════════════════════════════════════
+// ANNOTATIONS
+// Annotation overlays are not .hwk-overlay, so clearing or re-laying out the
+// geometry leaves them alone; each one is removed through its own handle.
+// ════════════════════════════════════════════════════════════════════════════════
+
+const ANNOTATION_TYPES = ['circle', 'underline', 'box', 'arrow', 'bracket'];
+
+// Live annotations per .katex host; the last one to go restores the host
+const annotationHosts = new WeakMap();
+
+function relativeBox(el, host) {
+    const r = el.getBoundingClientRect();
+    const h = host.getBoundingClientRect();
+    return { x: r.left - h.left, y: r.top - h.top, w: r.width, h: r.height };
+}
+
+// A loop that runs a little past its start, the way a pen circles a term
+function circlePoints(cx, cy, rx, ry) {
+    const start = -Math.PI * 0.6 + (random() - 0.5) * 0.4;
+    return Array.from({ length: 25 }, (_, i) => {
+        const a = start + Math.PI * 2.15 * (i / 24);
+        const wobble = 1 + (random() - 0.5) * 0.06;
+        return [cx + rx * wobble * Math.cos(a), cy + ry * wobble * Math.sin(a)];
+    });
+}
+
+/**
+ * Strokes for one annotation around `box` (and up to `toBox` for arrows), in
+ * host coordinates. Each stroke is { points, curved }; label is where a note
+ * goes, above the mark or (below: true) under it.
+ */
+function annotationShape(type, box, toBox, A) {
+    const pad = A.padding;
+    const cx = box.x + box.w / 2;
+    const bottom = box.y + box.h + pad;
+    
+    switch (type) {
+        case 'circle': {
+            const rx = box.w * Math.SQRT1_2 + pad / 2;
+            const ry = box.h * Math.SQRT1_2 + pad / 2;
+            const cy = box.y + box.h / 2;
+            return { strokes: [{ points: circlePoints(cx, cy, rx, ry), curved: true }], label: { x: cx, y: cy - ry - 3 } };
+        }
+        case 'underline':
+            return { strokes: [{ points: [[box.x, bottom], [box.x + box.w, bottom]] }], label: { x: cx, y: bottom + 3, below: true } };
+        case 'box': {
+            const [x0, y0, x1, y1] = [box.x - pad, box.y - pad, box.x + box.w + pad, bottom];
+            return { strokes: [{ points: [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]] }], label: { x: cx, y: y0 - 3 } };
+        }
+        case 'bracket': {
+            const tick = Math.min(box.h * 0.3, 6);
+            const points = [[box.x, bottom - tick], [box.x, bottom], [box.x + box.w, bottom], [box.x + box.w, bottom - tick]];
+            return { strokes: [{ points }], label: { x: cx, y: bottom + 3, below: true } };
+        }
+        case 'arrow': {
+            // From the top of one term to the top of the other, bowed upwards
+            const from = [cx, box.y - pad];
+            const to = [toBox.x + toBox.w / 2, toBox.y - pad];
+            const lift = Math.max(Math.hypot(to[0] - from[0], to[1] - from[1]) * 0.35, 12);
+            const apex = [(from[0] + to[0]) / 2, Math.min(from[1], to[1]) - lift];
+            const at = t => [0, 1].map(k => (1 - t) * (1 - t) * from[k] + 2 * (1 - t) * t * apex[k] + t * t * to[k]);
+            const curve = Array.from({ length: 17 }, (_, i) => at(i / 16));
+            
+            const [px, py] = at(0.9);
+            const angle = Math.atan2(to[1] - py, to[0] - px);
+            const barb = side => [to[0] - A.arrowSize * Math.cos(angle + side * 0.45), to[1] - A.arrowSize * Math.sin(angle + side * 0.45)];
+            const mid = at(0.5);
+            
+            return {
+                strokes: [{ points: curve, curved: true }, { points: [barb(-1), to, barb(1)] }],
+                label: { x: mid[0], y: mid[1] - 4 },
+            };
+        }
+        default:
+            return { strokes: [], label: { x: cx, y: box.y } };
+    }
+}
+
+function drawAnnotationLabel(svg, text, label, color, A) {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    el.textContent = text;
+    el.setAttribute('x', label.x);
+    el.setAttribute('y', label.y);
+    el.setAttribute('fill', color);
+    el.setAttribute('text-anchor', 'middle');
+    el.setAttribute('dominant-baseline', label.below ? 'hanging' : 'auto');
+    el.style.fontSize = `${A.labelSize}em`;
+    el.classList.add('hwk-annotation-label');
+    svg.appendChild(el);
+}
+
+/**
+ * Mark part of a rendered equation by hand: circle, underline, box or bracket
+ * it, or draw a curved arrow from it to another part. Targets are usually made
+ * with \htmlId / \htmlClass. The mark follows its targets when they resize.
+ * 
+ * @param {Element|string} target - Element or CSS selector
+ * @param {Object} [options]
+ * @param {string} [options.type='circle'] - circle, underline, box, arrow or bracket
+ * @param {Element|string} [options.to] - Where an arrow points (type 'arrow' only)
+ * @param {string} [options.label] - Short note written next to the mark
+ * @param {string} [options.color] - Overrides MASTER_SETTINGS.annotation.color
+ * @returns {Promise<{ element: SVGSVGElement, redraw: Function, remove: Function }|null>}
+ */
+export async function annotate(target, options = {}) {
+    return annotateWithSettings(target, options, MASTER_SETTINGS);
+}
+
+async function annotateWithSettings(target, options, settings) {
+    if (!dependenciesLoaded) {
+        await initDependencies();
+    }
+    
+    const A = settings.annotation;
+    const type = options.type || 'circle';
+    const resolve = ref => (typeof ref === 'string' ? document.querySelector(ref) : ref);
+    const el = resolve(target);
+    const to = options.to ? resolve(options.to) : null;
+    
+    if (!el || !ANNOTATION_TYPES.includes(type) || (type === 'arrow' && !to)) {
+        console.warn('[KaTeX-HWG v4.0] annotate() skipped:', { target, type, to: options.to });
+        return null;
+    }
+    
+    const host = el.closest('.katex') || el.parentElement;
+    const color = options.color || A.color || withSettings(settings, () => getColor(el));
+    const ink = { size: A.strokeSize };
+    const svg = createOverlaySVG(0, 0);
+    svg.classList.replace('hwk-overlay', 'hwk-annotation');
+    
+    // A labeled note is content, an unlabeled mark is decoration
+    if (options.label) {
+        svg.removeAttribute('aria-hidden');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', options.label);
+    }
+    
+    if (!annotationHosts.has(host)) {
+        annotationHosts.set(host, 0);
+        setStyles(host, { position: 'relative' });
+    }
+    annotationHosts.set(host, annotationHosts.get(host) + 1);
+    host.appendChild(svg);
+    
+    let frame = null;
+    
+    const redraw = () => {
+        frame = null;
+        if (!el.isConnected || (to && !to.isConnected)) return;
+        
+        const hostRect = host.getBoundingClientRect();
+        clearSVG(svg);
+        svg.setAttribute('width', hostRect.width);
+        svg.setAttribute('height', hostRect.height);
+        
+        // Same seed every time, so a redraw only moves the mark
+        seedRandom(el, `annotation-${type}`);
+        const shape = annotationShape(type, relativeBox(el, host), to && relativeBox(to, host), A);
+        
+        shape.strokes.forEach(({ points, curved }) => {
+            const roughOpts = { roughness: A.roughness, bowing: A.bowing, seed: nextSeed(), disableMultiStroke: true };
+            const drawable = curved ? generator.curve(points, roughOpts) : generator.linearPath(points, roughOpts);
+            drawRoughShape(svg, drawable, color, ink);
+        });
+        if (options.label) drawAnnotationLabel(svg, options.label, shape.label, color, A);
+    };
+    
+    const schedule = () => {
+        if (frame === null) frame = requestAnimationFrame(redraw);
+    };
+    
+    const resizeObserver = new ResizeObserver(schedule);
+    [host, el, to].forEach(node => node && resizeObserver.observe(node));
+    window.addEventListener('resize', schedule);
+    redraw();
     
-    console.log('[KaTeX-HWG v4.0] Cleared all handwriting geometry');
+    return {
+        element: svg,
+        redraw,
+        remove() {
+            resizeObserver.disconnect();
+            window.removeEventListener('resize', schedule);
+            if (frame !== null) cancelAnimationFrame(frame);
+            frame = null;
+            if (!svg.isConnected) return;
+            
+            svg.remove();
+            const left = annotationHosts.get(host) - 1;
+            if (left > 0) {
+                annotationHosts.set(host, left);
+            } else {
+                annotationHosts.delete(host);
+                restoreOriginal(host);
+            }
+        },
+    };
 }
 
 // Export for use
@@ -1060,5 +2642,14 @@ export default {
     initDependencies, 
     applyHandwritingGeometry, 
     clearHandwritingGeometry, 
+    observeHandwritingGeometry,
+    observe: observeHandwritingGeometry,
+    observeLayout,
+    createHandwriter,
+    annotate,
+    animateHandwriting,
+    exportStrokes,
+    replayStrokes,
+    checkAccessibility,
     MASTER_SETTINGS 
 };